@@ -1,6 +1,9 @@
 const fs = require('fs-extra');
 const path = require('path');
 
+// Builds that are only checked, not shipped, may leave sign-in unconfigured
+const allowUnconfigured = process.argv.includes('--allow-unconfigured');
+
 async function buildExtension(target = 'chrome') {
   const srcDir = './src';
   const destDir = `./dist/${target}`;
@@ -15,14 +18,25 @@ async function buildExtension(target = 'chrome') {
     // Copy all source files
     await fs.copy(srcDir, destDir);
     
+    const clientIds = await writeOAuthConfig(destDir);
+    
     // Apply target-specific transformations
     const manifestPath = path.join(destDir, 'manifest.json');
     
+    // Firefox signs in to Google only through the web client
+    if (target === 'firefox' && !(clientIds.GOOGLE_WEB_CLIENT_ID && clientIds.GOOGLE_WEB_CLIENT_SECRET) && !allowUnconfigured) {
+      throw new Error('Set GOOGLE_WEB_CLIENT_ID and GOOGLE_WEB_CLIENT_SECRET to build for Firefox, which cannot sign in to Google without them');
+    }
+    
     if (target === 'firefox') {
       await transformForFirefox(destDir, manifestPath);
     }
     
     // Add polyfill to HTML files for both browsers
+    await fs.copy(
+      require.resolve('webextension-polyfill/dist/browser-polyfill.min.js'),
+      path.join(destDir, 'browser-polyfill.min.js')
+    );
     await addPolyfillToHTML(destDir);
     
     console.log(`✅ ${target} extension built successfully in ${destDir}/`);
@@ -33,6 +47,22 @@ async function buildExtension(target = 'chrome') {
   }
 }
 
+// Fill in the OAuth client IDs and secret from the environment variables of the same
+// names and return them
+async function writeOAuthConfig(destDir) {
+  const configPath = path.join(destDir, 'lib', 'oauth-config.js');
+  const clientIds = {};
+  
+  let content = await fs.readFile(configPath, 'utf8');
+  content = content.replace(/export const (\w+) = '';/g, (match, name) => {
+    clientIds[name] = (process.env[name] || '').trim();
+    return `export const ${name} = ${JSON.stringify(clientIds[name])};`;
+  });
+  await fs.writeFile(configPath, content);
+  
+  return clientIds;
+}
+
 async function transformForFirefox(destDir, manifestPath) {
   let manifest = await fs.readJson(manifestPath);
   
@@ -43,12 +73,16 @@ async function transformForFirefox(destDir, manifestPath) {
   manifest.browser_action = manifest.action;
   delete manifest.action;
   
-  // Convert service_worker to scripts
+  // Convert service_worker to a background page, since background.js is an ES module
+  await fs.writeFile(
+    path.join(destDir, 'background.html'),
+    '<!DOCTYPE html>\n<html>\n<head>\n  <meta charset="utf-8">\n' +
+    '  <script src="browser-polyfill.min.js"></script>\n' +
+    '  <script type="module" src="background.js"></script>\n' +
+    '</head>\n</html>\n'
+  );
   manifest.background = {
-    scripts: [
-      "browser-polyfill.min.js",
-      "background.js"
-    ],
+    page: "background.html",
     persistent: false
   };
   
@@ -60,14 +94,20 @@ async function transformForFirefox(destDir, manifestPath) {
     }
   };
   
-  // Remove V3-specific properties
+  // Firefox has no identity.getAuthToken; Google sign-in uses launchWebAuthFlow
+  delete manifest.oauth2;
+  
+  // Remove V3-specific properties; MV2 lists host permissions with the others
+  const hostPermissions = manifest.host_permissions || [];
   delete manifest.host_permissions;
   if (manifest.permissions) {
-    manifest.permissions = manifest.permissions.concat([
-      "https://www.googleapis.com/*",
-      "https://www.googleapis.com/upload/drive/v3/*",
-      "https://www.googleapis.com/drive/v3/*"
-    ]);
+    // Firefox background pages can create blob URLs themselves
+    manifest.permissions = manifest.permissions.filter(permission => permission !== 'offscreen');
+    manifest.permissions = manifest.permissions.concat(hostPermissions);
+  }
+  if (manifest.optional_host_permissions) {
+    manifest.optional_permissions = (manifest.optional_permissions || []).concat(manifest.optional_host_permissions);
+    delete manifest.optional_host_permissions;
   }
   
   await fs.writeJson(manifestPath, manifest, { spaces: 2 });
@@ -77,7 +117,9 @@ async function transformForFirefox(destDir, manifestPath) {
 async function addPolyfillToHTML(destDir) {
   const htmlFiles = [
     path.join(destDir, 'popup', 'popup.html'),
-    path.join(destDir, 'options', 'options.html')
+    path.join(destDir, 'options', 'options.html'),
+    path.join(destDir, 'manager', 'manager.html'),
+    path.join(destDir, 'history', 'history.html')
   ];
   
   for (const htmlFile of htmlFiles) {
@@ -103,12 +145,12 @@ async function buildAll() {
 }
 
 // Handle command line arguments
-const target = process.argv[2] || 'all';
+const target = process.argv.slice(2).find(arg => !arg.startsWith('--')) || 'all';
 if (target === 'all') {
   buildAll();
 } else if (['chrome', 'firefox'].includes(target)) {
   buildExtension(target);
 } else {
-  console.log('Usage: node scripts/build.js [chrome|firefox|all]');
+  console.log('Usage: node scripts/build.js [chrome|firefox|all] [--allow-unconfigured]');
   process.exit(1);
 }
\ No newline at end of file
@@ -1,88 +1,775 @@
+import { FileStore } from './lib/file-store.js';
+import {
+  RetryPolicy,
+  AuthRequiredError,
+  ErrorKind,
+  classifyError,
+  sleep
+} from './lib/retry-policy.js';
+import { RateLimiter } from './lib/rate-limiter.js';
+import { UploadQueue } from './lib/upload-queue.js';
+import { SettingsService } from './lib/settings.js';
+import { AdaptiveChunkSizer, normalizeChunkSize } from './lib/chunk-size.js';
+import { DownloadManager } from './lib/download-manager.js';
+import { getProvider, DEFAULT_PROVIDER_ID } from './lib/providers/index.js';
+import { createBatch, summarizeBatch } from './lib/upload-batches.js';
+import { getRelativeDir } from './lib/directory-reader.js';
+import { ProgressStream } from './lib/progress-stream.js';
+import { Notifier, NotificationEvent } from './lib/notifications.js';
+import { AccountStore, getAccountSettings, accountKey, parseAccountKey } from './lib/accounts.js';
+import { ChecksumClient } from './lib/checksums.js';
+import { ConflictPolicy, isConflictPolicy, suffixedName } from './lib/conflicts.js';
+import { HistoryStore, createHistoryEntry } from './lib/history-store.js';
+import { TransferStore } from './lib/transfer-store.js';
+import { probeUrl, fetchFile, RemoteSource, readRange } from './lib/remote-source.js';
+import { setupContextMenus, listenForDownloads, hasUrlAccess, waitForUrlAccess } from './lib/page-integration.js';
+import {
+  EncryptedSource,
+  EncryptionKeyType,
+  createEncryption,
+  deriveFileKeyWithFingerprint,
+  encryptedName,
+  encryptedSize
+} from './lib/encryption.js';
+import { EncryptionKeys } from './lib/encryption-keys.js';
+import { TransferConditions, WaitReason } from './lib/transfer-conditions.js';
+import { KeepAlive, detectRestart } from './lib/lifecycle.js';
+import { applyNamingTemplate, getConversionType, validateUploadMetadata } from './lib/upload-metadata.js';
+
 // Cross-browser compatibility
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
+// Tokens with less time left are renewed before the next chunk is sent
+const TOKEN_MIN_VALIDITY = 5 * 60 * 1000; // 5 minutes
+
+// Uploads in these states are done and move to the history
+const FINISHED_STATUSES = ['completed', 'verified', 'skipped'];
+
+// Uploads in these states are held back while the transfer conditions do
+// not allow them to run
+const CONDITIONAL_STATUSES = ['queued', 'initializing', 'uploading', 'waiting'];
+
+// History status of a transfer that was cancelled in a given state. Giving up
+// on a failed transfer records it as failed.
+function cancelledStatus(status) {
+  if (FINISHED_STATUSES.includes(status)) return status;
+  return status === 'error' || status === 'corrupt' ? 'failed' : 'cancelled';
+}
+
+// A start time for new uploads, or null to start them right away
+function validStartAt(startAt) {
+  return Number.isFinite(startAt) && startAt > Date.now() ? startAt : null;
+}
+
 // Upload manager class
 class UploadManager {
-  constructor() {
+  constructor(progressStream, keepAlive) {
+    this.progressStream = progressStream;
+    this.keepAlive = keepAlive;
+    this.isReady = false;
     this.activeUploads = new Map();
-    this.initialize();
+    this.batches = new Map();
+    this.uploadRecords = new TransferStore('uploads');
+    this.batchRecords = new TransferStore('batches');
+    this.pendingFolders = new Map();
+    // Accounts looked up by token, so each token is checked only once
+    this.accountsByToken = new Map();
+    this.accountStore = new AccountStore();
+    this.abortControllers = new Map();
+    this.fileStore = new FileStore();
+    this.checksums = new ChecksumClient();
+    this.encryptionKeys = new EncryptionKeys();
+    this.history = new HistoryStore();
+    this.queue = new UploadQueue(this.activeUploads);
+    this.rateLimiter = new RateLimiter();
+    this.settings = new SettingsService();
+    this.notifier = new Notifier(this.settings);
+    // Registered right away so a click can wake the background
+    this.notifier.listen((action, target) => this.handleNotificationAction(action, target));
+    this.conditions = new TransferConditions(this.settings);
+    this.conditions.listen(() => this.ready.then(() => this.scheduleUploads()));
+    this.setupPageIntegration();
+    this.setupMessageHandlers();
+    this.ready = this.initialize()
+      .catch(error => console.error('Error initializing uploads:', error))
+      .then(() => {
+        this.isReady = true;
+      });
   }
 
   async initialize() {
+    await this.loadSettings();
+    await this.loadAccounts();
     await this.loadPersistedState();
-    this.recoverInterruptedUploads();
-    this.setupMessageHandlers();
+    await this.archiveFinishedUploads();
+    await this.recoverInterruptedUploads();
+    this.scheduleUploads();
+    this.pruneStoredFiles();
   }
 
-  // Load upload state from storage
-  async loadPersistedState() {
+  // Load settings and apply changes made on the options page right away
+  async loadSettings() {
     try {
-      const data = await browserAPI.storage.local.get(['uploads']);
-      if (data.uploads) {
-        const uploads = JSON.parse(data.uploads);
-        uploads.forEach(upload => {
-          this.activeUploads.set(upload.id, upload);
-        });
-      }
+      await this.settings.load();
     } catch (error) {
-      console.error('Error loading persisted state:', error);
+      console.error('Error loading settings:', error);
     }
+    this.rateLimiter.configure(this.settings.get());
+
+    this.settings.onChange(settings => {
+      this.rateLimiter.configure(settings);
+      // A higher concurrency limit may free slots for queued uploads
+      this.scheduleUploads();
+    });
   }
 
-  // Save upload state to storage
-  async savePersistedState() {
+  // Load the signed-in accounts
+  async loadAccounts() {
     try {
-      const uploads = Array.from(this.activeUploads.values());
-      await browserAPI.storage.local.set({
-        uploads: JSON.stringify(uploads)
+      await this.accountStore.load();
+    } catch (error) {
+      console.error('Error loading accounts:', error);
+    }
+  }
+
+  // Load upload state from storage
+  async loadPersistedState() {
+    try {
+      const uploads = await this.uploadRecords.load();
+      uploads.forEach(upload => {
+        this.activeUploads.set(upload.id, upload);
+      });
+      const batches = await this.batchRecords.load();
+      batches.forEach(batch => {
+        this.batches.set(batch.id, batch);
       });
     } catch (error) {
-      console.error('Error saving persisted state:', error);
+      console.error('Error loading persisted state:', error);
     }
   }
 
-  // Recover uploads that were interrupted
+  // Save changed uploads. Uploads cancelled meanwhile are left out, so a late
+  // save cannot bring them back.
+  saveUploads(...uploads) {
+    return this.uploadRecords.save(...uploads.filter(upload => this.activeUploads.get(upload.id) === upload));
+  }
+
+  saveBatch(batch) {
+    return this.batches.get(batch.id) === batch ? this.batchRecords.save(batch) : Promise.resolve();
+  }
+
+  // Recover uploads that were interrupted. When only the background was
+  // restarted, its running uploads are queued again; after the browser was
+  // closed, the user decides when to resume them.
   async recoverInterruptedUploads() {
+    const restarted = await detectRestart();
+    const recovered = [];
+    const stopped = [];
+    const resumed = [];
     for (const [id, upload] of this.activeUploads) {
-      if (upload.status === 'uploading' || upload.status === 'paused') {
+      if (restarted && (upload.status === 'initializing' || upload.status === 'uploading')) {
+        resumed.push(upload);
+      } else if (upload.status === 'initializing' || upload.status === 'uploading' || upload.status === 'paused') {
+        if (upload.status !== 'paused') {
+          stopped.push(upload);
+        }
         // Mark as interrupted to allow manual resume
         upload.status = 'interrupted';
         this.activeUploads.set(id, upload);
+        recovered.push(upload);
+      }
+    }
+    this.queue.enqueueAll(resumed);
+    await this.saveUploads(...recovered, ...resumed);
+
+    if (stopped.length > 0) {
+      const message = stopped.length === 1
+        ? `${stopped[0].file.name} was interrupted and can be resumed.`
+        : `${stopped.length} uploads were interrupted and can be resumed.`;
+      this.notifier.notify(NotificationEvent.INTERRUPTED, { kind: 'all', id: 'all' }, 'Uploads interrupted', message);
+    }
+  }
+
+  // Queue every interrupted upload again
+  async resumeInterruptedUploads() {
+    const interrupted = Array.from(this.activeUploads.values())
+      .filter(upload => upload.status === 'interrupted');
+    this.queue.enqueueAll(interrupted);
+
+    await this.saveUploads(...interrupted);
+    interrupted.forEach(upload => this.sendUpdateToUI(upload.id));
+    this.scheduleUploads();
+  }
+
+  // Drop stored source files that no upload refers to anymore
+  async pruneStoredFiles() {
+    try {
+      await this.fileStore.prune(new Set(this.activeUploads.keys()));
+    } catch (error) {
+      console.error('Error pruning stored files:', error);
+    }
+  }
+
+  // Move uploads that finished in an earlier session, before they could be
+  // archived, out of the live list
+  async archiveFinishedUploads() {
+    const finished = Array.from(this.activeUploads.values())
+      .filter(upload => FINISHED_STATUSES.includes(upload.status));
+    for (const upload of finished) {
+      // Archiving a batch also removes its other uploads
+      if (this.activeUploads.has(upload.id)) {
+        await this.archiveIfFinished(upload);
       }
     }
-    await this.savePersistedState();
+    await this.pruneHistory();
   }
 
-  // Start a new upload
-  async startUpload(file, folderId = null) {
+  // Add an entry to the history and apply the retention settings. Resolves
+  // with whether the entry was saved.
+  async recordHistory(entry) {
+    try {
+      await this.history.add(entry);
+    } catch (error) {
+      console.error('Error recording history:', error);
+      return false;
+    }
+    await this.pruneHistory();
+    return true;
+  }
+
+  // Drop history entries past the retention settings
+  async pruneHistory() {
+    const settings = this.settings.get();
+    try {
+      await this.history.prune({
+        maxAgeDays: settings.historyRetentionDays,
+        maxEntries: settings.historyMaxEntries
+      });
+    } catch (error) {
+      console.error('Error pruning history:', error);
+    }
+  }
+
+  // Move a finished upload to the history. Uploads of a batch stay until the
+  // whole batch has finished, which is then archived as one entry.
+  async archiveIfFinished(upload) {
+    if (!FINISHED_STATUSES.includes(upload.status)) return;
+
+    if (!upload.batchId) {
+      if (!(await this.recordHistory(this.createUploadEntry(upload, upload.status)))) return;
+      this.activeUploads.delete(upload.id);
+      await this.uploadRecords.delete(upload.id);
+      this.sendUpdateToUI(upload.id);
+      return;
+    }
+
+    const batch = this.batches.get(upload.batchId);
+    const uploads = this.getBatchUploads(upload.batchId);
+    if (!batch || !uploads.every(item => FINISHED_STATUSES.includes(item.status))) return;
+
+    if (!(await this.recordHistory(this.createBatchEntry(batch, uploads, 'completed')))) return;
+    uploads.forEach(item => this.activeUploads.delete(item.id));
+    this.batches.delete(batch.id);
+    await this.uploadRecords.delete(...uploads.map(item => item.id));
+    await this.batchRecords.delete(batch.id);
+    this.sendBatchUpdateToUI(batch.id);
+  }
+
+  // History entry for an upload that ended with a status
+  createUploadEntry(upload, status) {
+    const provider = getProvider(upload.providerId);
+    return createHistoryEntry({
+      id: upload.id,
+      kind: 'upload',
+      name: upload.remoteName || upload.file.name,
+      status: status,
+      size: upload.file.size,
+      transferredBytes: upload.uploadedBytes,
+      startTime: upload.startTime,
+      endTime: upload.endTime || Date.now(),
+      providerId: provider.id,
+      providerName: provider.name,
+      accountName: upload.accountName,
+      folderUrl: provider.getFolderUrl(upload.folderId),
+      fileUrl: upload.remoteFile ? upload.remoteFile.url : null,
+      sourceUrl: upload.source ? upload.source.url : null,
+      checksums: upload.checksums || null,
+      error: upload.error || null
+    });
+  }
+
+  // History entry for a batch that ended with a status
+  createBatchEntry(batch, uploads, status) {
+    const provider = getProvider(batch.providerId);
+    const account = this.findAccount(batch.providerId, batch.accountId);
+    const summary = summarizeBatch(batch, uploads);
+    return createHistoryEntry({
+      id: batch.id,
+      kind: 'batch',
+      name: batch.name,
+      status: status,
+      size: summary.totalBytes,
+      transferredBytes: summary.uploadedBytes,
+      totalFiles: summary.totalFiles,
+      completedFiles: summary.completedFiles,
+      failedFiles: summary.failedFiles,
+      startTime: batch.startTime,
+      endTime: status === 'completed'
+        ? Math.max(batch.startTime, ...uploads.map(upload => upload.endTime || 0))
+        : Date.now(),
+      providerId: provider.id,
+      providerName: provider.name,
+      accountName: account ? account.name : null,
+      folderUrl: provider.getFolderUrl(batch.folderIds[batch.name] || batch.folderId),
+      fileUrl: null,
+      error: summary.failedFiles > 0 ? `${summary.failedFiles} of ${summary.totalFiles} files failed` : null
+    });
+  }
+
+  // Start a new upload from a file staged in the file store. Options are
+  // folderId, providerId, accountId and conflictPolicy, where unset ones use
+  // the defaults, startAt, a time to wait for before uploading, and metadata
+  // set by the user for the file.
+  async startUpload(file, fileKey, { folderId = null, providerId = null, accountId = null, conflictPolicy = null, startAt = null, metadata = null } = {}) {
+    const upload = await this.createUpload(file, fileKey, {
+      ...this.getDestination(providerId, folderId, accountId),
+      conflictPolicy: conflictPolicy,
+      startAt: startAt,
+      metadata: metadata
+    });
+    return this.queueNewUpload(upload);
+  }
+
+  // Start uploading a file from a web server, reading it by byte ranges as
+  // the upload goes. Takes the same options as startUpload, and fileName to
+  // name the file instead of the server.
+  async startUrlUpload(url, { folderId = null, providerId = null, accountId = null, conflictPolicy = null, startAt = null, metadata = null, fileName = null } = {}) {
+    const options = {
+      ...this.getDestination(providerId, folderId, accountId),
+      conflictPolicy: conflictPolicy,
+      startAt: startAt,
+      metadata: metadata
+    };
+    const { file, source } = await probeUrl(url);
+    if (fileName) {
+      file.name = fileName;
+    }
+
+    if (!source) {
+      // Without byte ranges the file is fetched whole and stored like a
+      // picked file, so at least the upload side can resume
+      const fetched = await fetchFile(url, file.name);
+      const fileKey = await this.fileStore.stage(fetched);
+      return this.queueNewUpload(await this.createUpload(fetched, fileKey, options));
+    }
+
+    return this.queueNewUpload(await this.createUpload(file, null, { ...options, source }));
+  }
+
+  // Upload a URL to the given destination, or the account chosen in the
+  // popup, telling the user if it cannot be started since nothing else would
+  // show the error. Takes the same options as startUrlUpload.
+  async uploadLink(url, { providerId = null, accountId = null, ...options } = {}) {
+    try {
+      if (!providerId) {
+        const { selectedAccount } = await browserAPI.storage.local.get(['selectedAccount']);
+        providerId = selectedAccount ? selectedAccount.providerId : null;
+        accountId = selectedAccount ? selectedAccount.accountId : null;
+      }
+      await this.startUrlUpload(url, { providerId, accountId, ...options });
+    } catch (error) {
+      console.error('URL upload error:', error);
+      this.notifier.notify(NotificationEvent.ERROR, { kind: 'url', id: encodeURIComponent(url) },
+        'Upload from URL failed', `${url}: ${error.message}`);
+    }
+  }
+
+  // Upload a URL sent by the popup once access to its site is granted. The
+  // popup asks for access after sending it, and the browser's prompt may
+  // close the popup, so the wait and any error are handled here.
+  async uploadLinkWhenGranted(url, options) {
+    // The background must not be stopped while it waits
+    const holder = {};
+    this.keepAlive.hold(holder);
+    let granted;
+    try {
+      granted = await waitForUrlAccess(url);
+    } finally {
+      this.keepAlive.release(holder);
+    }
+
+    if (!granted) {
+      this.notifier.notify(NotificationEvent.ERROR, { kind: 'url', id: encodeURIComponent(url) },
+        'Upload from URL failed', `${url}: Access to the site was not granted`);
+      return;
+    }
+    await this.uploadLink(url, options);
+  }
+
+  // Add a new single upload to the queue
+  async queueNewUpload(upload) {
+    this.queue.enqueue(upload);
+    this.activeUploads.set(upload.id, upload);
+    await this.saveUploads(upload);
+
+    // Start the upload once a slot is free
+    this.scheduleUploads();
+    
+    return upload.id;
+  }
+
+  // Start uploading a directory tree as one batch. Each file carries its
+  // relativePath, which starts with the name of the selected directory, and
+  // may carry its own metadata. Takes the same options as startUpload.
+  async startBatch(name, files, { folderId = null, providerId = null, accountId = null, conflictPolicy = null, startAt = null } = {}) {
+    const batch = createBatch(name, {
+      ...this.getDestination(providerId, folderId, accountId),
+      conflictPolicy: conflictPolicy,
+      startAt: validStartAt(startAt)
+    });
+
+    const uploads = [];
+    for (const file of files) {
+      uploads.push(await this.createUpload(file, file.fileKey, {
+        providerId: batch.providerId,
+        accountId: batch.accountId,
+        batchId: batch.id,
+        relativeDir: getRelativeDir(file.relativePath),
+        startAt: batch.startAt,
+        metadata: file.metadata
+      }));
+    }
+
+    this.batches.set(batch.id, batch);
+    this.queue.enqueueAll(uploads);
+    uploads.forEach(upload => this.activeUploads.set(upload.id, upload));
+    await this.saveBatch(batch);
+    await this.saveUploads(...uploads);
+
+    this.scheduleUploads();
+    this.sendBatchUpdateToUI(batch.id);
+
+    return batch.id;
+  }
+
+  // Where new uploads go: the given provider, account and folder, or the
+  // defaults. An account's own default folder comes first; the global one
+  // only applies to the default provider.
+  getDestination(providerId, folderId, accountId = null) {
+    const settings = this.settings.get();
+    const targetProviderId = providerId || settings.defaultProviderId;
+    const account = this.findAccount(targetProviderId, accountId);
+    if (accountId && !account) {
+      throw new Error('This account is no longer signed in');
+    }
+
+    const defaultFolderId = account && account.settings.defaultFolderId
+      ? account.settings.defaultFolderId
+      : (targetProviderId === settings.defaultProviderId ? settings.defaultFolderId : null);
+    return {
+      providerId: targetProviderId,
+      accountId: account ? account.id : null,
+      folderId: folderId || defaultFolderId
+    };
+  }
+
+  // An account of a provider, or the provider's default account
+  findAccount(providerId, accountId = null) {
+    const targetProviderId = getProvider(providerId).id;
+    return accountId
+      ? this.accountStore.find(targetProviderId, accountId)
+      : this.accountStore.getDefault(targetProviderId);
+  }
+
+  // The settings an upload runs with: the global ones with its account's
+  // overrides applied
+  getUploadSettings(upload) {
+    return getAccountSettings(this.settings.get(), this.findAccount(upload.providerId, upload.accountId));
+  }
+
+  // Claim a staged file and build the record of a new upload
+  async createUpload(file, fileKey, { providerId = null, accountId = null, folderId = null, batchId = null, relativeDir = '', conflictPolicy = null, startAt = null, source = null, metadata = null } = {}) {
     const uploadId = this.generateUploadId();
+    const account = accountId ? this.findAccount(providerId, accountId) : null;
+    const settings = getAccountSettings(this.settings.get(), account);
+
+    // A name the user typed wins over the naming template
+    const details = validateUploadMetadata(metadata);
+    const name = details.name || applyNamingTemplate(settings.namingTemplate, { name: file.name, path: relativeDir });
+
+    // An encrypted upload sends a container of the file under a new name.
+    // Without the key it could not run, so it is not started at all.
+    const encryption = settings.encryptUploads ? createEncryption(settings.encryptionKeyType, file.size) : null;
+    if (encryption) {
+      await this.encryptionKeys.getSecret(encryption.keyType);
+    }
+
+    // Take ownership of the staged file so it survives popup close and
+    // restarts. Uploads from a URL have a source instead of a staged file.
+    if (!source && (!fileKey || !(await this.fileStore.claim(fileKey, uploadId)))) {
+      throw new Error(`File data is not available: ${file.name}`);
+    }
     
-    const upload = {
+    return {
       id: uploadId,
-      file: {
-        name: file.name,
-        size: file.size,
-        type: file.type,
-        lastModified: file.lastModified
+      file: encryption
+        ? {
+            name: encryptedName(name),
+            size: encryptedSize(encryption),
+            type: 'application/octet-stream',
+            lastModified: file.lastModified
+          }
+        : {
+            name: name,
+            size: file.size,
+            type: file.type,
+            lastModified: file.lastModified
+          },
+      encryption: encryption,
+      // Kept with the upload so a resumed session is started with it again.
+      // An encrypted container cannot be converted.
+      metadata: {
+        description: details.description,
+        starred: details.starred,
+        properties: details.properties,
+        convertTo: details.convert && !encryption ? getConversionType(file) : null
       },
-      status: 'initializing',
+      status: 'queued',
       progress: 0,
       uploadedBytes: 0,
-      chunkSize: 5 * 1024 * 1024, // 5MB chunks
+      chunkSize: settings.chunkSize,
+      // Without a signed-in account, the account is filled in from the first
+      // token the upload runs with
+      providerId: providerId || DEFAULT_PROVIDER_ID,
+      accountId: account ? account.id : null,
+      accountName: account ? account.name : null,
       folderId: folderId,
+      batchId: batchId,
+      relativeDir: relativeDir,
+      conflictPolicy: isConflictPolicy(conflictPolicy) ? conflictPolicy : null,
+      startAt: validStartAt(startAt),
+      source: source,
       chunks: [],
       sessionUri: null,
       startTime: Date.now(),
       error: null
     };
+  }
+
+  // Aggregated progress of every batch
+  getBatchSummaries() {
+    const uploads = Array.from(this.activeUploads.values());
+    return Array.from(this.batches.values()).map(batch =>
+      summarizeBatch(batch, uploads.filter(upload => upload.batchId === batch.id))
+    );
+  }
 
-    this.activeUploads.set(uploadId, upload);
-    await this.savePersistedState();
+  // Uploads and batch summaries as shown in the transfer list
+  getTransfers() {
+    return Array.from(this.activeUploads.values())
+      .filter(upload => !upload.batchId)
+      .concat(this.getBatchSummaries());
+  }
 
-    // Start the upload process
-    this.processUpload(uploadId, file);
-    
-    return uploadId;
+  // Uploads belonging to a batch
+  getBatchUploads(batchId) {
+    return Array.from(this.activeUploads.values()).filter(upload => upload.batchId === batchId);
+  }
+
+  // Pause every running, queued or waiting upload of a batch
+  async pauseBatch(batchId) {
+    if (!this.batches.has(batchId)) return false;
+
+    const paused = this.getBatchUploads(batchId)
+      .filter(upload => ['uploading', 'queued', 'waiting'].includes(upload.status));
+    paused.forEach(upload => {
+      upload.status = 'paused';
+      upload.waitReason = null;
+      this.abortUpload(upload.id);
+    });
+
+    await this.saveUploads(...paused);
+    this.sendBatchUpdateToUI(batchId);
+    return true;
+  }
+
+  // Queue every paused, interrupted or failed upload of a batch again
+  async resumeBatch(batchId) {
+    if (!this.batches.has(batchId)) return false;
+
+    const resumable = this.getBatchUploads(batchId)
+      .filter(upload => ['paused', 'interrupted', 'error', 'corrupt'].includes(upload.status));
+    resumable.forEach(upload => this.prepareResume(upload));
+    this.queue.enqueueAll(resumable);
+
+    await this.saveUploads(...resumable);
+    this.sendBatchUpdateToUI(batchId);
+    this.scheduleUploads();
+    return true;
+  }
+
+  // Cancel every upload of a batch and move it to the history
+  async cancelBatch(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) return false;
+
+    const uploads = this.getBatchUploads(batchId);
+    const status = cancelledStatus(summarizeBatch(batch, uploads).status);
+    await this.recordHistory(this.createBatchEntry(batch, uploads, status));
+
+    uploads.forEach(upload => {
+      this.abortUpload(upload.id);
+      this.activeUploads.delete(upload.id);
+    });
+    this.batches.delete(batchId);
+    await this.uploadRecords.delete(...uploads.map(upload => upload.id));
+    await this.batchRecords.delete(batchId);
+
+    for (const upload of uploads) {
+      await this.deleteUploadSession(upload);
+      await this.fileStore.delete(upload.id);
+    }
+
+    this.sendBatchUpdateToUI(batchId);
+    return true;
+  }
+
+  // Get the Drive folder an upload of a batch belongs in, creating the
+  // missing part of its directory tree on the way
+  async resolveBatchFolder(upload, token) {
+    const batch = this.batches.get(upload.batchId);
+    if (!batch) {
+      throw new Error('Upload batch not found');
+    }
+
+    let parentId = batch.folderId || 'root';
+    let path = '';
+
+    for (const name of upload.relativeDir.split('/').filter(Boolean)) {
+      path = path ? `${path}/${name}` : name;
+      parentId = await this.ensureBatchFolder(batch, path, name, parentId, token);
+    }
+
+    return parentId;
+  }
+
+  // Get the folder ID for one directory of a batch. Concurrent uploads
+  // share a single request per directory.
+  ensureBatchFolder(batch, path, name, parentId, token) {
+    if (batch.folderIds[path]) {
+      return Promise.resolve(batch.folderIds[path]);
+    }
+
+    const key = `${batch.id}:${path}`;
+    if (!this.pendingFolders.has(key)) {
+      const pending = (async () => {
+        // Reuse a folder created before a crash wiped the cached ID
+        const provider = getProvider(batch.providerId);
+        const folder = await provider.findFolder(token, name, parentId) ||
+          await provider.createFolder(token, name, parentId);
+        batch.folderIds[path] = folder.id;
+        await this.saveBatch(batch);
+        return folder.id;
+      })();
+
+      this.pendingFolders.set(key, pending);
+      pending.then(
+        () => this.pendingFolders.delete(key),
+        () => this.pendingFolders.delete(key)
+      );
+    }
+
+    return this.pendingFolders.get(key);
+  }
+
+  // Start queued uploads while there are free slots and the conditions allow
+  async scheduleUploads() {
+    await this.applyConditions();
+
+    const promoted = this.queue.promote(this.settings.get().maxConcurrentUploads);
+    if (promoted.length === 0) return;
+
+    await this.saveUploads(...promoted);
+    promoted.forEach(upload => {
+      this.sendUpdateToUI(upload.id);
+      this.processUpload(upload.id);
+    });
+  }
+
+  // Why an upload may not run now, or null if it may
+  getWaitReason(upload, now = Date.now()) {
+    if (upload.startAt && upload.startAt > now) {
+      return WaitReason.START_TIME;
+    }
+    return this.conditions.getWaitReason(now);
+  }
+
+  // Hold back the uploads that may not run now and queue again the waiting
+  // ones that may, then arrange to check again when that can change
+  async applyConditions() {
+    const now = Date.now();
+    const changed = [];
+    const released = [];
+
+    this.activeUploads.forEach(upload => {
+      if (!CONDITIONAL_STATUSES.includes(upload.status)) return;
+
+      const reason = this.getWaitReason(upload, now);
+      if (reason && (upload.status !== 'waiting' || upload.waitReason !== reason)) {
+        this.holdUpload(upload, reason);
+        changed.push(upload);
+      } else if (!reason && upload.status === 'waiting') {
+        released.push(upload);
+      }
+    });
+
+    // Uploads that were running go first, then the queued ones in order
+    const queueOrder = upload => upload.queuePosition === undefined ? Number.MIN_SAFE_INTEGER : upload.queuePosition;
+    released.sort((a, b) => queueOrder(a) - queueOrder(b));
+    released.forEach(upload => {
+      upload.waitReason = null;
+    });
+    this.queue.enqueueAll(released);
+    changed.push(...released);
+
+    if (changed.length > 0) {
+      await this.saveUploads(...changed);
+      changed.forEach(upload => this.sendUpdateToUI(upload.id));
+    }
+
+    const waiting = Array.from(this.activeUploads.values()).filter(upload => upload.status === 'waiting');
+    this.conditions.scheduleCheck(
+      waiting.filter(upload => upload.waitReason === WaitReason.START_TIME).map(upload => upload.startAt),
+      waiting.some(upload => upload.waitReason === WaitReason.SCHEDULE),
+      now
+    );
+  }
+
+  // Stop an upload until the conditions let it run, recording why
+  holdUpload(upload, reason) {
+    upload.status = 'waiting';
+    upload.waitReason = reason;
+    this.abortUpload(upload.id);
+  }
+
+  // Move a queued upload to the top or bottom of the queue
+  async moveUpload(uploadId, position) {
+    const upload = this.activeUploads.get(uploadId);
+    if (!upload || upload.status !== 'queued') {
+      return false;
+    }
+
+    if (position === 'top') {
+      this.queue.moveToTop(upload);
+    } else if (position === 'bottom') {
+      this.queue.moveToBottom(upload);
+    } else {
+      throw new Error(`Unknown queue position: ${position}`);
+    }
+
+    await this.saveUploads(upload);
+    this.sendUpdateToUI(uploadId);
+    return true;
   }
 
   // Generate a unique upload ID
@@ -91,276 +778,1107 @@ class UploadManager {
   }
 
   // Main upload processing method
-  async processUpload(uploadId, file) {
+  async processUpload(uploadId) {
     const upload = this.activeUploads.get(uploadId);
     if (!upload) return;
 
     try {
+      // Reopen the source file; it outlives the page that selected it
+      const source = upload.source ? new RemoteSource(upload.source) : await this.fileStore.get(uploadId);
+      if (!source) {
+        throw new Error('Source file is no longer available');
+      }
+      const file = upload.encryption ? await this.encryptSource(upload, source) : source;
+
       // Get authentication token
-      const token = await this.getAuthToken();
+      const provider = getProvider(upload.providerId);
+      const token = await this.getAuthToken(upload.providerId, {
+        accountId: upload.accountId,
+        minValidity: TOKEN_MIN_VALIDITY
+      });
       if (!token) {
-        throw new Error('Authentication required');
+        throw new AuthRequiredError();
+      }
+      await this.checkAccount(upload, provider, token);
+
+      // When resuming, trust Drive's committed offset over the persisted one
+      if (upload.sessionUri) {
+        await this.syncUploadOffset(uploadId, token);
       }
 
       // Initialize resumable upload session if not already done
       if (!upload.sessionUri) {
-        upload.sessionUri = await this.initResumableUpload(upload, token);
-        upload.status = 'uploading';
-        this.activeUploads.set(uploadId, upload);
-        await this.savePersistedState();
+        if (upload.batchId) {
+          upload.folderId = await this.resolveBatchFolder(upload, token);
+        }
+
+        // Skip the upload, or wait for the user, if the name is taken
+        const proceed = await this.resolveConflicts(upload, provider, token);
+        if (this.activeUploads.get(uploadId) !== upload) return;
+        if (!proceed) {
+          await this.finishWithoutUpload(upload);
+          return;
+        }
+
+        upload.sessionUri = await provider.initUpload(upload, token);
+        upload.uploadedBytes = 0;
+        upload.progress = 0;
       }
 
+      // Stop here if the upload was cancelled or held back while its session
+      // was prepared
+      if (this.activeUploads.get(uploadId) !== upload || upload.status !== 'initializing') return;
+
+      upload.status = 'uploading';
+      this.progressStream.resetProgress(uploadId, upload.uploadedBytes);
+      this.activeUploads.set(uploadId, upload);
+      await this.saveUploads(upload);
+      this.sendUpdateToUI(uploadId);
+
       // Upload chunks
       await this.uploadChunks(uploadId, file, token);
 
       // Finalize upload if all chunks are done
       if (upload.uploadedBytes >= upload.file.size) {
-        upload.status = 'completed';
+        await this.verifyUpload(upload, token);
         upload.endTime = Date.now();
         this.activeUploads.set(uploadId, upload);
-        await this.savePersistedState();
+        await this.saveUploads(upload);
+        // A corrupt upload keeps its source file so it can be sent again
+        if (upload.status !== 'corrupt') {
+          await this.fileStore.delete(uploadId);
+        }
         
         // Notify UI of completion
         this.sendUpdateToUI(uploadId);
+        this.notifyFinished(upload, upload.status === 'corrupt' ? new Error(upload.error) : null);
+        await this.archiveIfFinished(upload);
       }
 
     } catch (error) {
+      // An upload held back meanwhile continues once the conditions allow,
+      // and so does one that lost the network
+      if (upload.status === 'waiting') return;
+      if (!this.conditions.isOnline()) {
+        this.holdUpload(upload, WaitReason.NETWORK);
+        await this.saveUploads(upload);
+        this.sendUpdateToUI(uploadId);
+        return;
+      }
+
       console.error('Upload error:', error);
       upload.status = 'error';
       upload.error = error.message;
-      this.activeUploads.set(uploadId, upload);
-      await this.savePersistedState();
+      upload.needsSignIn = error instanceof AuthRequiredError;
+      await this.saveUploads(upload);
       this.sendUpdateToUI(uploadId);
+      this.notifyFinished(upload, error);
+    } finally {
+      // Hand the slot to the next queued upload
+      this.scheduleUploads();
     }
   }
 
-  // Initialize a resumable upload session with Google Drive
-  async initResumableUpload(upload, token) {
-    const metadata = {
-      name: upload.file.name,
-      mimeType: upload.file.type,
-      ...(upload.folderId && { parents: [upload.folderId] })
-    };
+  // Wrap the source of an encrypted upload so it reads as the container.
+  // Refuses to continue an upload under another key than the one it started
+  // with, since its container could then not be decrypted.
+  async encryptSource(upload, source) {
+    const secret = await this.encryptionKeys.getSecret(upload.encryption.keyType);
+    const { key, fingerprint } = await deriveFileKeyWithFingerprint(secret, upload.encryption);
+
+    const started = upload.sessionUri || upload.uploadedBytes > 0;
+    if (started && upload.encryption.keyFingerprint && upload.encryption.keyFingerprint !== fingerprint) {
+      const secretName = upload.encryption.keyType === EncryptionKeyType.PASSPHRASE ? 'passphrase' : 'key';
+      throw new Error(`The encryption ${secretName} changed since this upload started; restore it to resume, or cancel and upload again`);
+    }
+    // Saved along with the upload before its first chunk is sent
+    upload.encryption.keyFingerprint = fingerprint;
+
+    return new EncryptedSource(source, key, upload.encryption);
+  }
+
+  // Tag an upload with the account it goes to, and refuse to continue it
+  // with another account, which cannot use its session
+  async checkAccount(upload, provider, token) {
+    if (!this.accountsByToken.has(token)) {
+      this.accountsByToken.set(token, await provider.getAccount(token));
+    }
+    const account = this.accountsByToken.get(token);
+
+    if (!upload.accountId) {
+      upload.accountId = account.id;
+      upload.accountName = account.name;
+    } else if (upload.accountId !== account.id) {
+      throw new Error(`This upload belongs to ${upload.accountName}; sign in to ${provider.name} with that account to continue it`);
+    }
+  }
+
+  // The conflict policy of an upload: its own, its batch's, or the default
+  getConflictPolicy(upload) {
+    const batch = upload.batchId ? this.batches.get(upload.batchId) : null;
+    return upload.conflictPolicy ||
+      (batch && batch.conflictPolicy) ||
+      this.settings.get().conflictPolicy;
+  }
 
-    const response = await fetch(
-      'https://www.googleapis.com/upload/drive/v3/files?uploadType=resumable',
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json; charset=UTF-8',
-          'X-Upload-Content-Type': upload.file.type,
-          'X-Upload-Content-Length': upload.file.size.toString()
-        },
-        body: JSON.stringify(metadata)
+  // Look for files with the upload's name in its destination folder and apply
+  // the conflict policy. Resolves to false if no session should be started
+  // because the upload was skipped or waits for the user to choose.
+  async resolveConflicts(upload, provider, token) {
+    if (upload.conflictResolved || !provider.findFiles) return true;
+
+    const existing = await provider.findFiles(token, upload.file.name, upload.folderId || 'root');
+    if (existing.length > 0) {
+      await this.markIdenticalFiles(upload, existing);
+
+      switch (this.getConflictPolicy(upload)) {
+        case ConflictPolicy.SKIP:
+          upload.status = 'skipped';
+          upload.remoteFile = { id: existing[0].id, url: existing[0].url };
+          return false;
+
+        case ConflictPolicy.KEEP_BOTH:
+          upload.remoteName = await this.findFreeName(upload, provider, token);
+          break;
+
+        case ConflictPolicy.REPLACE: {
+          // A file the user may not edit is kept, and the upload gets a new
+          // name beside it
+          const replaceable = existing.find(file => file.editable !== false);
+          if (replaceable) {
+            upload.replaceFileId = replaceable.id;
+          } else {
+            upload.remoteName = await this.findFreeName(upload, provider, token);
+          }
+          break;
+        }
+
+        default:
+          upload.status = 'conflict';
+          upload.conflict = {
+            count: existing.length,
+            identical: existing.some(file => file.identical),
+            replaceable: existing.some(file => file.editable !== false)
+          };
+          return false;
       }
-    );
+    }
+
+    upload.conflictResolved = true;
+    upload.conflict = null;
+    return true;
+  }
+
+  // Flag the existing files whose content is the same as the upload's. Only
+  // same-size files are worth hashing the source file for.
+  async markIdenticalFiles(upload, existing) {
+    // Files read from a URL are not kept around to hash, and an encrypted
+    // upload never matches an existing file
+    if (upload.source || upload.encryption) return;
+
+    const candidates = existing.filter(file => file.size === upload.file.size && file.md5);
+    if (candidates.length === 0) return;
 
-    if (!response.ok) {
-      throw new Error(`Failed to initialize upload: ${response.statusText}`);
+    try {
+      const { md5 } = await this.checksums.digest(upload.id);
+      candidates.forEach(file => {
+        file.identical = file.md5 === md5;
+      });
+    } catch (error) {
+      console.warn('Failed to hash file for duplicate check:', error);
+    }
+  }
+
+  // The first numbered variant of the upload's name that is free
+  async findFreeName(upload, provider, token) {
+    for (let number = 1; number < 1000; number++) {
+      const name = suffixedName(upload.file.name, number);
+      const existing = await provider.findFiles(token, name, upload.folderId || 'root');
+      if (existing.length === 0) return name;
+    }
+    throw new Error(`No free name found for ${upload.file.name}`);
+  }
+
+  // Record an upload that was skipped or waits on a conflict
+  async finishWithoutUpload(upload) {
+    if (upload.status === 'skipped') {
+      upload.progress = 100;
+      upload.endTime = Date.now();
+      await this.fileStore.delete(upload.id);
+      this.checksums.discard(upload.id).catch(error => console.warn('Failed to discard checksums:', error));
+    }
+
+    await this.saveUploads(upload);
+    this.sendUpdateToUI(upload.id);
+    if (upload.status === 'skipped') {
+      this.notifyFinished(upload);
+      await this.archiveIfFinished(upload);
+    }
+  }
+
+  // Apply the user's choice to uploads waiting on a conflict: one upload, or
+  // every waiting upload of a batch
+  async resolveConflict({ uploadId = null, batchId = null, policy }) {
+    if (!isConflictPolicy(policy) || policy === ConflictPolicy.ASK) {
+      throw new Error(`Invalid conflict choice: ${policy}`);
+    }
+
+    const uploads = batchId ? this.getBatchUploads(batchId) : [this.activeUploads.get(uploadId)];
+    const waiting = uploads.filter(upload => upload && upload.status === 'conflict');
+    waiting.forEach(upload => {
+      upload.conflictPolicy = policy;
+      upload.conflict = null;
+    });
+    this.queue.enqueueAll(waiting);
+
+    await this.saveUploads(...waiting);
+    if (batchId) {
+      this.sendBatchUpdateToUI(batchId);
+    } else {
+      waiting.forEach(upload => this.sendUpdateToUI(upload.id));
     }
+    this.scheduleUploads();
+    return waiting.length > 0;
+  }
+
+  // Compare the checksums of the source file with the ones the provider
+  // computed for the uploaded file, and mark the upload verified or corrupt.
+  // It stays completed if the provider reports no checksums. Files read from
+  // a URL are not hashed, and the hashes of a file say nothing about its
+  // encrypted container, so only the size of those is compared.
+  async verifyUpload(upload, token) {
+    upload.status = 'completed';
+
+    try {
+      const local = upload.source || upload.encryption ? null : await this.checksums.finish(upload.id);
+      upload.checksums = local ? { md5: local.md5, sha256: local.sha256 } : null;
 
-    return response.headers.get('Location');
+      const provider = getProvider(upload.providerId);
+      if (!provider.getChecksums || !upload.remoteFile) return;
+
+      const freshToken = await this.getAuthToken(upload.providerId, {
+        accountId: upload.accountId,
+        interactive: false
+      }) || token;
+      const remote = await provider.getChecksums(freshToken, upload.remoteFile.id);
+      upload.remoteChecksums = remote;
+
+      const mismatch = (remote.size !== null && remote.size !== upload.file.size) ||
+        (local && remote.md5 && remote.md5 !== local.md5) ||
+        (local && remote.sha256 && remote.sha256 !== local.sha256);
+      if (mismatch) {
+        upload.status = 'corrupt';
+        upload.error = `The file on ${provider.name} does not match the source file`;
+      } else if (local && (remote.md5 || remote.sha256)) {
+        upload.status = 'verified';
+      }
+    } catch (error) {
+      console.warn('Failed to verify upload:', error);
+    }
+  }
+
+  // Align uploadedBytes with the offset the provider has committed, dropping the
+  // session if it has expired so a new one gets started
+  async syncUploadOffset(uploadId, token) {
+    const upload = this.activeUploads.get(uploadId);
+    const status = await getProvider(upload.providerId).queryStatus(upload, token);
+
+    if (status.state === 'expired') {
+      console.warn('Upload session expired, starting a new one:', uploadId);
+      upload.sessionUri = null;
+    } else if (status.file) {
+      upload.remoteFile = status.file;
+    }
+
+    upload.uploadedBytes = status.offset;
+    upload.progress = (status.offset / upload.file.size) * 100;
+    await this.saveUploads(upload);
   }
 
   // Upload chunks of the file
   async uploadChunks(uploadId, file, token) {
     const upload = this.activeUploads.get(uploadId);
-    if (!upload || upload.status === 'paused') return;
+    if (!upload || upload.status !== 'uploading') return;
+
+    const { chunkLimits } = getProvider(upload.providerId);
+    const retryPolicy = this.getRetryPolicy();
+    upload.chunkSize = normalizeChunkSize(upload.chunkSize, chunkLimits);
+    const chunkSizer = this.getUploadSettings(upload).adaptiveChunkSize
+      ? new AdaptiveChunkSizer(upload.chunkSize, chunkLimits)
+      : null;
+
+    // Lets pause/cancel interrupt an in-flight chunk or a backoff wait
+    const controller = new AbortController();
+    this.abortControllers.set(uploadId, controller);
 
     let startByte = upload.uploadedBytes;
+    let attempt = 0;
+    let chunksSinceUpdate = 0;
     
-    while (startByte < upload.file.size && upload.status === 'uploading') {
-      const endByte = Math.min(startByte + upload.chunkSize, upload.file.size);
-      const chunk = file.slice(startByte, endByte);
-      
-      try {
-        await this.uploadChunk(uploadId, chunk, startByte, endByte, token);
-        startByte = endByte;
-        
-        // Update progress
-        upload.uploadedBytes = endByte;
-        upload.progress = (endByte / upload.file.size) * 100;
-        this.activeUploads.set(uploadId, upload);
-        
-        // Save progress and notify UI periodically
-        if (endByte % (upload.chunkSize * 5) === 0 || endByte === upload.file.size) {
-          await this.savePersistedState();
-          this.sendUpdateToUI(uploadId);
+    try {
+      while (startByte < upload.file.size && upload.status === 'uploading') {
+        const endByte = Math.min(startByte + upload.chunkSize, upload.file.size);
+        // Hash the file alongside the upload; the worker skips bytes it has seen
+        if (!upload.source && !upload.encryption) {
+          this.checksums.update(uploadId, endByte)
+            .catch(error => console.warn('Failed to hash upload:', error));
         }
-      } catch (error) {
-        if (error.message.includes('pause')) {
-          // Upload was paused
-          upload.status = 'paused';
-          this.activeUploads.set(uploadId, upload);
-          await this.savePersistedState();
-          this.sendUpdateToUI(uploadId);
-          break;
-        } else {
-          // Other error, retry later
-          console.warn('Chunk upload failed, will retry:', error);
-          await new Promise(resolve => setTimeout(resolve, 2000)); // Wait before retry
+        
+        try {
+          const chunk = await readRange(file, startByte, endByte, controller.signal);
+
+          // Renew the token ahead of expiry rather than failing a chunk on it
+          token = await this.getAuthToken(upload.providerId, {
+            accountId: upload.accountId,
+            interactive: false,
+            minValidity: TOKEN_MIN_VALIDITY
+          }) || token;
+
+          const chunkStartTime = Date.now();
+
+          // Drive may commit less than the whole chunk; continue from what it kept
+          const committedBytes = await this.uploadChunk(uploadId, chunk, startByte, endByte, token, controller.signal);
+          if (chunkSizer) {
+            upload.chunkSize = chunkSizer.recordSuccess(committedBytes - startByte, Date.now() - chunkStartTime);
+          }
+          startByte = committedBytes;
+          attempt = 0;
+          chunksSinceUpdate++;
+          
+          // Update progress
+          upload.uploadedBytes = committedBytes;
+          upload.progress = (committedBytes / upload.file.size) * 100;
+          this.progressStream.recordProgress(uploadId, committedBytes);
+          this.streamUpdate(upload);
+          
+          // Progress is saved with the next coalesced write
+          if (this.activeUploads.get(uploadId) === upload) {
+            this.uploadRecords.saveLater(upload);
+          }
+          
+          // Notify UI every 5 chunks
+          if (chunksSinceUpdate >= 5 || committedBytes === upload.file.size) {
+            chunksSinceUpdate = 0;
+            this.sendUpdateToUI(uploadId);
+          }
+        } catch (error) {
+          const kind = classifyError(error);
+
+          // Upload was paused or cancelled
+          if (kind === ErrorKind.ABORTED) break;
+
+          if (kind === ErrorKind.FATAL) throw error;
+
+          // Retrying without a network would only use up the attempts; the
+          // upload waits for the connection to come back instead
+          if (!this.conditions.isOnline()) {
+            this.holdUpload(upload, WaitReason.NETWORK);
+            await this.saveUploads(upload);
+            this.sendUpdateToUI(uploadId);
+            break;
+          }
+
+          attempt++;
+          if (!retryPolicy.canRetry(attempt)) {
+            throw new Error(`Chunk upload failed after ${attempt} attempts: ${error.message}`);
+          }
+
+          // An expired token is replaced right away instead of waiting
+          if (kind === ErrorKind.AUTH) {
+            token = await this.refreshAuthToken(token, upload.providerId, upload.accountId);
+            if (!token) {
+              throw new AuthRequiredError();
+            }
+            continue;
+          }
+
+          // Smaller chunks are more likely to get through a flaky connection
+          if (chunkSizer) {
+            upload.chunkSize = chunkSizer.recordFailure();
+          }
+
+          const delay = retryPolicy.getDelay(attempt, error);
+          console.warn(`Chunk upload failed (attempt ${attempt}/${retryPolicy.maxAttempts}), retrying in ${delay}ms:`, error);
+          try {
+            await sleep(delay, controller.signal);
+          } catch (abortError) {
+            break;
+          }
         }
       }
+    } finally {
+      if (this.abortControllers.get(uploadId) === controller) {
+        this.abortControllers.delete(uploadId);
+      }
+      this.rateLimiter.release(uploadId);
+    }
+  }
+
+  // Build the chunk retry policy from the saved settings
+  getRetryPolicy() {
+    const settings = this.settings.get();
+    return new RetryPolicy({
+      maxAttempts: settings.maxRetryAttempts,
+      baseDelay: settings.retryBaseDelay,
+      maxDelay: settings.retryMaxDelay
+    });
+  }
+
+  // Stop the in-flight request or backoff wait of an upload
+  abortUpload(uploadId) {
+    const controller = this.abortControllers.get(uploadId);
+    if (controller) {
+      controller.abort();
+      this.abortControllers.delete(uploadId);
     }
   }
 
-  // Upload a single chunk
-  async uploadChunk(uploadId, chunk, startByte, endByte, token) {
+  // Upload a single chunk and return the number of bytes Drive has committed
+  async uploadChunk(uploadId, chunk, startByte, endByte, token, signal) {
     const upload = this.activeUploads.get(uploadId);
     if (!upload || !upload.sessionUri) {
       throw new Error('Upload session not found');
     }
 
-    const contentRange = `bytes ${startByte}-${endByte - 1}/${upload.file.size}`;
-    
-    const response = await fetch(upload.sessionUri, {
-      method: 'PUT',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Range': contentRange,
-        'Content-Type': 'application/octet-stream'
-      },
-      body: chunk
-    });
+    // Wait for the bandwidth limits to allow this chunk
+    await this.rateLimiter.acquire(uploadId, chunk.size, signal);
 
-    if (response.status === 308) {
-      // Incomplete upload, continue with next chunk
-      return;
-    } else if (response.status === 200 || response.status === 201) {
-      // Upload completed
-      return;
-    } else {
-      throw new Error(`Upload failed with status: ${response.status}`);
+    const result = await getProvider(upload.providerId)
+      .uploadChunk(upload, chunk, startByte, endByte, token, signal);
+
+    // Keep the uploaded file for "Open in Drive"
+    if (result.file) {
+      upload.remoteFile = result.file;
     }
+    return result.offset;
   }
 
-  // Pause an upload
+  // Pause an upload. A paused upload stays paused whatever the conditions.
   async pauseUpload(uploadId) {
     const upload = this.activeUploads.get(uploadId);
-    if (upload && upload.status === 'uploading') {
+    if (upload && ['uploading', 'queued', 'waiting'].includes(upload.status)) {
       upload.status = 'paused';
-      this.activeUploads.set(uploadId, upload);
-      await this.savePersistedState();
+      upload.waitReason = null;
+      this.abortUpload(uploadId);
+      await this.saveUploads(upload);
       this.sendUpdateToUI(uploadId);
       return true;
     }
     return false;
   }
 
-  // Resume a paused upload
+  // Resume a paused or interrupted upload, or retry a failed or corrupt one
   async resumeUpload(uploadId) {
     const upload = this.activeUploads.get(uploadId);
-    if (upload && (upload.status === 'paused' || upload.status === 'interrupted')) {
-      upload.status = 'uploading';
-      this.activeUploads.set(uploadId, upload);
-      await this.savePersistedState();
+    if (upload && ['paused', 'interrupted', 'error', 'corrupt'].includes(upload.status)) {
+      this.prepareResume(upload);
+      this.queue.enqueue(upload);
+      await this.saveUploads(upload);
       this.sendUpdateToUI(uploadId);
       
-      // Get the file handle again (simplified - in real implementation, you'd need to store file reference)
-      // For now, we'll assume the file is still accessible
-      this.processUpload(uploadId, null); // File parameter would be needed in real implementation
+      // Continues from uploadedBytes with the stored file once a slot is free
+      this.scheduleUploads();
       return true;
     }
     return false;
   }
 
-  // Cancel an upload
+  // Clear the outcome of the last attempt before an upload is queued again. A
+  // corrupt upload is sent again from the start, checking for conflicts anew
+  // since the corrupt file now has its name.
+  prepareResume(upload) {
+    upload.error = null;
+    upload.needsSignIn = false;
+
+    if (upload.status === 'corrupt') {
+      upload.sessionUri = null;
+      upload.uploadedBytes = 0;
+      upload.progress = 0;
+      upload.remoteFile = null;
+      upload.checksums = null;
+      upload.remoteChecksums = null;
+      upload.conflictResolved = false;
+      upload.remoteName = null;
+      upload.replaceFileId = null;
+    }
+  }
+
+  // Cancel an upload and move it to the history
   async cancelUpload(uploadId) {
     const upload = this.activeUploads.get(uploadId);
     if (upload) {
-      // Try to delete the session from Google Drive
-      if (upload.sessionUri) {
-        try {
-          const token = await this.getAuthToken();
-          await fetch(upload.sessionUri, {
-            method: 'DELETE',
-            headers: {
-              'Authorization': `Bearer ${token}`
-            }
-          });
-        } catch (error) {
-          console.warn('Failed to delete upload session:', error);
-        }
-      }
+      await this.recordHistory(this.createUploadEntry(upload, cancelledStatus(upload.status)));
+      this.abortUpload(uploadId);
+      await this.deleteUploadSession(upload);
+      this.checksums.discard(uploadId).catch(error => console.warn('Failed to discard checksums:', error));
       
       this.activeUploads.delete(uploadId);
-      await this.savePersistedState();
+      await this.uploadRecords.delete(uploadId);
+      await this.fileStore.delete(uploadId);
       this.sendUpdateToUI(uploadId);
       return true;
     }
     return false;
   }
 
-  // Get authentication token
-  async getAuthToken() {
-    return new Promise((resolve) => {
-      browserAPI.identity.getAuthToken({ interactive: true }, (token) => {
-        if (browserAPI.runtime.lastError) {
-          console.error('Auth error:', browserAPI.runtime.lastError);
-          resolve(null);
+  // Stop and drop every upload and batch along with their stored files,
+  // without recording them in the history
+  async clearUploads() {
+    const uploadIds = Array.from(this.activeUploads.keys());
+    const batchIds = Array.from(this.batches.keys());
+    uploadIds.forEach(uploadId => {
+      this.abortUpload(uploadId);
+      this.checksums.discard(uploadId).catch(error => console.warn('Failed to discard checksums:', error));
+    });
+    this.activeUploads.clear();
+    this.batches.clear();
+
+    await this.uploadRecords.clear();
+    await this.batchRecords.clear();
+    await this.fileStore.clear();
+    uploadIds.forEach(uploadId => this.sendUpdateToUI(uploadId));
+    batchIds.forEach(batchId => this.sendBatchUpdateToUI(batchId));
+    return true;
+  }
+
+  // Try to delete the resumable session of an upload from its provider
+  async deleteUploadSession(upload) {
+    if (!upload.sessionUri) return;
+
+    try {
+      const token = await this.getAuthToken(upload.providerId, { accountId: upload.accountId });
+      await getProvider(upload.providerId).cancelUpload(upload, token);
+    } catch (error) {
+      console.warn('Failed to delete upload session:', error);
+    }
+  }
+
+  // Get an authentication token for an account of a provider, or for its
+  // default account. Signs in to a first account if there is none yet.
+  async getAuthToken(providerId = null, { accountId = null, interactive = true, minValidity = 0 } = {}) {
+    const provider = getProvider(providerId);
+    const account = this.findAccount(provider.id, accountId);
+
+    if (!account) {
+      if (accountId || !interactive) return null;
+      const added = await this.addAccount(provider.id);
+      return added ? added.token : null;
+    }
+
+    return provider.getAuthToken({ account, interactive, minValidity });
+  }
+
+  // Drop a token the provider rejected from its cache and fetch a fresh one
+  async refreshAuthToken(staleToken, providerId = null, accountId = null) {
+    const provider = getProvider(providerId);
+    await provider.removeCachedToken(staleToken, this.findAccount(provider.id, accountId));
+    return this.getAuthToken(provider.id, { accountId });
+  }
+
+  // The accounts of a provider and whether each still has a valid sign-in,
+  // without prompting
+  async getAuthStatus(providerId = null) {
+    const provider = getProvider(providerId || this.settings.get().defaultProviderId);
+
+    const accounts = [];
+    for (const account of this.accountStore.list(provider.id)) {
+      let token = null;
+      try {
+        token = await provider.getAuthToken({ account, interactive: false });
+      } catch (error) {
+        console.warn(`Failed to check ${provider.name} sign-in:`, error);
+      }
+      accounts.push({ id: account.id, name: account.name, signedIn: !!token });
+    }
+
+    return {
+      providerId: provider.id,
+      providerName: provider.name,
+      canAddAccount: provider.canAddAccount(this.usesBrowserAccount(provider)),
+      supportsFileDetails: !!provider.supportsFileDetails,
+      signedIn: accounts.some(account => account.signedIn),
+      accounts: accounts
+    };
+  }
+
+  // Whether the next account of a provider is the browser's own, which is
+  // only signed in to once
+  usesBrowserAccount(provider) {
+    return !this.accountStore.list(provider.id).some(account => account.authMethod === 'identity');
+  }
+
+  // Sign in to another account of a provider. The browser's own Google
+  // account is offered first; later accounts go through the web flow.
+  async addAccount(providerId = null) {
+    const provider = getProvider(providerId || this.settings.get().defaultProviderId);
+    const result = await provider.addAccount({ interactive: true, useBrowserAccount: this.usesBrowserAccount(provider) });
+    if (!result) return null;
+
+    const account = await this.accountStore.add(provider.id, result.account);
+    this.accountsByToken.set(result.token, result.account);
+    return { account, token: result.token };
+  }
+
+  // Ask the user to sign in to an account again, or to a new one, then retry
+  // the uploads that failed without it
+  async signIn(providerId = null, accountId = null) {
+    const provider = getProvider(providerId || this.settings.get().defaultProviderId);
+    const existing = accountId ? this.accountStore.find(provider.id, accountId) : null;
+
+    let account = existing;
+    if (existing) {
+      if (!(await provider.getAuthToken({ account: existing, interactive: true }))) return false;
+    } else {
+      const added = await this.addAccount(provider.id);
+      if (!added) return false;
+      account = added.account;
+    }
+
+    const failed = Array.from(this.activeUploads.values())
+      .filter(upload => upload.needsSignIn && getProvider(upload.providerId).id === provider.id &&
+        (!upload.accountId || upload.accountId === account.id));
+    for (const upload of failed) {
+      await this.resumeUpload(upload.id);
+    }
+    return true;
+  }
+
+  // Revoke the extension's access to an account, or to the provider's
+  // default account, and forget it. Running uploads of the account fail on
+  // their next chunk and can be retried after signing in again.
+  async signOut(providerId = null, accountId = null) {
+    const provider = getProvider(providerId || this.settings.get().defaultProviderId);
+    const account = this.findAccount(provider.id, accountId);
+    if (!account) return false;
+
+    await provider.signOut(account);
+    await this.accountStore.remove(provider.id, account.id);
+    this.accountsByToken.clear();
+    return true;
+  }
+
+  // Every signed-in account with its setting overrides, for the options page
+  getAccounts() {
+    return this.accountStore.list().map(account => ({
+      ...account,
+      providerName: getProvider(account.providerId).name
+    }));
+  }
+
+  // Replace the setting overrides of an account
+  async updateAccountSettings(providerId, accountId, settings) {
+    const account = await this.accountStore.updateSettings(getProvider(providerId).id, accountId, settings);
+    if (!account) {
+      throw new Error('This account is no longer signed in');
+    }
+    return account;
+  }
+
+  // Tell the user an upload, or the batch it belongs to, has finished
+  notifyFinished(upload, error = null) {
+    const provider = getProvider(upload.providerId);
+
+    if (error instanceof AuthRequiredError) {
+      const accountName = upload.accountName ? ` as ${upload.accountName}` : '';
+      this.notifier.notify(NotificationEvent.AUTH_REQUIRED, { kind: 'account', id: accountKey(provider.id, upload.accountId || '') },
+        'Sign-in required', `Sign in to ${provider.name}${accountName} to continue your uploads.`);
+      return;
+    }
+
+    if (upload.batchId && this.notifier.summarizesBatches()) {
+      this.notifyBatchFinished(upload.batchId);
+      return;
+    }
+
+    const target = { kind: 'upload', id: upload.id };
+    if (upload.status === 'skipped') {
+      this.notifier.notify(NotificationEvent.COMPLETED, target, 'Upload skipped',
+        `${upload.file.name} already exists on ${provider.name}.`);
+    } else if (error) {
+      this.notifier.notify(NotificationEvent.ERROR, target, 'Upload failed', `${upload.file.name}: ${error.message}`);
+    } else {
+      this.notifier.notify(NotificationEvent.COMPLETED, target, 'Upload complete', `${upload.file.name} was uploaded to ${provider.name}.`);
+    }
+  }
+
+  // Send one notification for a batch once none of its uploads is left to run
+  notifyBatchFinished(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) return;
+
+    const summary = summarizeBatch(batch, this.getBatchUploads(batchId));
+    if (summary.status !== 'completed' && summary.status !== 'error') return;
+
+    const target = { kind: 'batch', id: batchId };
+    if (summary.failedFiles > 0) {
+      this.notifier.notify(NotificationEvent.ERROR, target, 'Folder upload failed',
+        `${summary.failedFiles} of ${summary.totalFiles} files of ${batch.name} could not be uploaded.`);
+    } else {
+      this.notifier.notify(NotificationEvent.COMPLETED, target, 'Folder upload complete',
+        `${summary.totalFiles} files uploaded to ${batch.name}.`);
+    }
+  }
+
+  // Run the action of a clicked notification
+  async handleNotificationAction(action, target) {
+    await this.ready;
+
+    switch (action) {
+      case 'open':
+        await this.openInDrive(target);
+        break;
+
+      case 'retry':
+        if (target.kind === 'url') {
+          await this.uploadLink(decodeURIComponent(target.id));
+        } else if (target.kind === 'batch') {
+          await this.resumeBatch(target.id);
         } else {
-          resolve(token);
+          await this.resumeUpload(target.id);
         }
-      });
+        break;
+
+      case 'resume':
+        await this.resumeInterruptedUploads();
+        break;
+
+      case 'signIn': {
+        const { providerId, accountId } = parseAccountKey(target.id);
+        await this.signIn(providerId, accountId);
+        break;
+      }
+    }
+  }
+
+  // Open an uploaded file, or the folder a batch was uploaded to, on the
+  // provider's website
+  async openInDrive(target) {
+    let url = getProvider(null).getFolderUrl('root');
+    const batch = target.kind === 'batch' ? this.batches.get(target.id) : null;
+    const upload = target.kind === 'batch' ? null : this.activeUploads.get(target.id);
+
+    if (batch) {
+      url = getProvider(batch.providerId).getFolderUrl(batch.folderIds[batch.name] || batch.folderId);
+    } else if (upload) {
+      url = upload.remoteFile && upload.remoteFile.url
+        ? upload.remoteFile.url
+        : getProvider(upload.providerId).getFolderUrl(upload.folderId);
+    } else {
+      // Finished transfers have moved to the history
+      const entry = await this.history.get(target.id).catch(() => null);
+      if (entry) {
+        url = entry.fileUrl || entry.folderUrl || url;
+      }
+    }
+
+    browserAPI.tabs.create({ url });
+  }
+
+  // Save images, links and pages from their context menu, and mirror browser
+  // downloads when turned on in the options
+  setupPageIntegration() {
+    setupContextMenus(async (url, fileName) => {
+      await this.ready;
+      await this.uploadLink(url, { fileName });
+    });
+
+    listenForDownloads(async (url, fileName) => {
+      await this.ready;
+      await this.mirrorDownload(url, fileName);
+    });
+  }
+
+  // Upload a copy of a browser download to the mirror folder of the default
+  // service. The file is fetched again, which needs access to its site.
+  async mirrorDownload(url, fileName) {
+    const settings = this.settings.get();
+    if (!settings.mirrorDownloads) return;
+
+    if (!(await hasUrlAccess(url))) {
+      this.notifier.notify(NotificationEvent.ERROR, { kind: 'url', id: encodeURIComponent(url) },
+        'Download not saved to Drive', `Allow DriveManager to read ${new URL(url).hostname} to save a copy of this download.`);
+      return;
+    }
+
+    await this.uploadLink(url, {
+      providerId: settings.defaultProviderId,
+      folderId: settings.mirrorFolderId,
+      fileName: fileName
     });
   }
 
-  // Send update to UI
+  // Run a folder request for the folder picker, against the given provider
+  // and account or the defaults
+  async withFolderAccess(providerId, accountId, request) {
+    const provider = getProvider(providerId || this.settings.get().defaultProviderId);
+    const token = await this.getAuthToken(provider.id, { accountId });
+    if (!token) {
+      throw new AuthRequiredError();
+    }
+    return request(provider, token);
+  }
+
+  // The provider and account folder requests go to, with the defaults resolved
+  getFolderAccount(providerId, accountId) {
+    const provider = getProvider(providerId || this.settings.get().defaultProviderId);
+    const account = this.findAccount(provider.id, accountId);
+    return { providerId: provider.id, accountId: account ? account.id : null };
+  }
+
+  // Send update to UI over the progress stream
   sendUpdateToUI(uploadId) {
+    this.updateKeepAlive();
     const upload = this.activeUploads.get(uploadId);
     if (upload) {
-      // Send message to all extension pages
-      browserAPI.runtime.sendMessage({
-        type: 'uploadUpdated',
-        uploadId: uploadId,
-        upload: upload
-      }).catch(err => console.log('No listeners for update message'));
+      this.streamUpdate(upload);
+    } else {
+      this.progressStream.remove(uploadId);
     }
   }
 
-  // Setup message handlers for communication with UI
+  // Keep the background alive while uploads are running
+  updateKeepAlive() {
+    this.keepAlive.update('uploads', this.queue.countRunning() > 0);
+  }
+
+  // Stream the new state of an upload, or of its batch, to connected pages
+  streamUpdate(upload) {
+    if (!upload.batchId) {
+      this.progressStream.publish(upload);
+      return;
+    }
+
+    const batch = this.batches.get(upload.batchId);
+    if (batch) {
+      const summary = summarizeBatch(batch, this.getBatchUploads(batch.id));
+      this.progressStream.recordProgress(batch.id, summary.uploadedBytes);
+      this.progressStream.publish(summary);
+    }
+  }
+
+  // Tell the UI a batch changed
+  sendBatchUpdateToUI(batchId) {
+    const batch = this.batches.get(batchId);
+    if (batch) {
+      this.progressStream.publish(summarizeBatch(batch, this.getBatchUploads(batchId)));
+    } else {
+      this.progressStream.remove(batchId);
+    }
+  }
+
+  // Destination, conflict, start time and metadata options of a startUpload
+  // or startBatch message
+  getStartOptions(request) {
+    return {
+      folderId: request.folderId,
+      providerId: request.providerId,
+      accountId: request.accountId,
+      conflictPolicy: request.conflictPolicy,
+      startAt: request.startAt,
+      metadata: request.metadata
+    };
+  }
+
+  // Setup message handlers for communication with UI. They are registered
+  // right away so a message can wake the background, and wait for the saved
+  // uploads to load before answering.
   setupMessageHandlers() {
     browserAPI.runtime.onMessage.addListener((request, sender, sendResponse) => {
-      switch (request.action) {
-        case 'getUploads':
-          sendResponse(Array.from(this.activeUploads.values()));
-          break;
-        
-        case 'startUpload':
-          // In a real implementation, you'd get the file from the UI
-          // This is a simplified version
-          this.startUpload(request.file, request.folderId)
-            .then(uploadId => sendResponse({ uploadId }))
-            .catch(error => sendResponse({ error: error.message }));
-          return true; // Will respond asynchronously
-        
-        case 'pauseUpload':
-          this.pauseUpload(request.uploadId)
-            .then(success => sendResponse({ success }))
-            .catch(error => sendResponse({ error: error.message }));
-          return true;
-        
-        case 'resumeUpload':
-          this.resumeUpload(request.uploadId)
-            .then(success => sendResponse({ success }))
-            .catch(error => sendResponse({ error: error.message }));
-          return true;
-        
-        case 'cancelUpload':
-          this.cancelUpload(request.uploadId)
-            .then(success => sendResponse({ success }))
-            .catch(error => sendResponse({ error: error.message }));
-          return true;
+      if (this.isReady) {
+        return this.handleMessage(request, sendResponse);
       }
+      this.ready.then(() => this.handleMessage(request, sendResponse));
+      return true;
     });
   }
+
+  // Answer a message from the UI. Returns true if the answer is sent later.
+  handleMessage(request, sendResponse) {
+    switch (request.action) {
+      case 'getUploads':
+        sendResponse(Array.from(this.activeUploads.values()));
+        break;
+      
+      case 'getBatches':
+        sendResponse(this.getBatchSummaries());
+        break;
+      
+      case 'startBatch':
+        this.startBatch(request.name, request.files, this.getStartOptions(request))
+          .then(batchId => sendResponse({ batchId }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'pauseBatch':
+        this.pauseBatch(request.batchId)
+          .then(success => sendResponse({ success }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'resumeBatch':
+        this.resumeBatch(request.batchId)
+          .then(success => sendResponse({ success }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'cancelBatch':
+        this.cancelBatch(request.batchId)
+          .then(success => sendResponse({ success }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'getBandwidthLimit':
+        sendResponse(this.rateLimiter.getEffectiveLimit());
+        break;
+      
+      case 'startUpload':
+        // The page stages the File in the file store and sends its key
+        this.startUpload(request.file, request.fileKey, this.getStartOptions(request))
+          .then(uploadId => sendResponse({ uploadId }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true; // Will respond asynchronously
+      
+      case 'startUrlUpload':
+        // Answered right away, since the popup may close while access to the
+        // site is asked for
+        this.uploadLinkWhenGranted(request.url, this.getStartOptions(request));
+        sendResponse({ success: true });
+        break;
+      
+      case 'pauseUpload':
+        this.pauseUpload(request.uploadId)
+          .then(success => sendResponse({ success }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'resumeUpload':
+        this.resumeUpload(request.uploadId)
+          .then(success => sendResponse({ success }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'moveUpload':
+        this.moveUpload(request.uploadId, request.position)
+          .then(success => sendResponse({ success }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'listFolders':
+        this.withFolderAccess(request.providerId, request.accountId, (provider, token) =>
+          provider.listFolders(token, { parentId: request.parentId, query: request.query }))
+          .then(folders => sendResponse({ folders }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'getFolderPath':
+        this.withFolderAccess(request.providerId, request.accountId, (provider, token) => provider.getFolderPath(token, request.folderId))
+          .then(path => sendResponse({ path }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'getFolderAccount':
+        sendResponse(this.getFolderAccount(request.providerId, request.accountId));
+        break;
+      
+      case 'createFolder':
+        this.withFolderAccess(request.providerId, request.accountId, (provider, token) => provider.createFolder(token, request.name, request.parentId))
+          .then(folder => sendResponse({ folder }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'getAuthStatus':
+        this.getAuthStatus(request.providerId)
+          .then(status => sendResponse(status))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'signIn':
+        this.signIn(request.providerId, request.accountId)
+          .then(signedIn => sendResponse({ signedIn }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'addAccount':
+        this.addAccount(request.providerId)
+          .then(added => sendResponse({ account: added && added.account }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'signOut':
+        this.signOut(request.providerId, request.accountId)
+          .then(success => sendResponse({ success }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'getAccounts':
+        sendResponse({ accounts: this.getAccounts() });
+        break;
+      
+      case 'updateAccount':
+        this.updateAccountSettings(request.providerId, request.accountId, request.settings)
+          .then(account => sendResponse({ account }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'resolveConflict':
+        this.resolveConflict(request)
+          .then(success => sendResponse({ success }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'cancelUpload':
+        this.cancelUpload(request.uploadId)
+          .then(success => sendResponse({ success }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'clearUploads':
+        this.clearUploads()
+          .then(success => sendResponse({ success }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+      
+      case 'clearHistory':
+        this.history.clear()
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+  }
 }
 
+// Stream transfer progress to open extension pages
+const progressStream = new ProgressStream();
+progressStream.listen();
+
+// Keeps the background alive while transfers run, in place of a timer the
+// browser does not count as activity
+const keepAlive = new KeepAlive();
+
 // Initialize the upload manager
-const uploadManager = new UploadManager();
+const uploadManager = new UploadManager(progressStream, keepAlive);
+
+// Initialize the download manager, sharing accounts and retry settings with
+// uploads. Downloads always come from Google Drive.
+const downloadManager = new DownloadManager({
+  getAuthToken: accountId => uploadManager.getAuthToken(DEFAULT_PROVIDER_ID, { accountId }),
+  recordHistory: entry => uploadManager.recordHistory(entry),
+  refreshAuthToken: (token, accountId) => uploadManager.refreshAuthToken(token, DEFAULT_PROVIDER_ID, accountId),
+  findAccount: accountId => uploadManager.findAccount(DEFAULT_PROVIDER_ID, accountId),
+  getEncryptionSecret: keyType => uploadManager.encryptionKeys.getSecret(keyType),
+  getRetryPolicy: () => uploadManager.getRetryPolicy(),
+  progressStream,
+  keepAlive
+});
+downloadManager.initialize();
+
+// The watchdog wakes the background to pick up transfers it dropped
+keepAlive.listen(() => {
+  uploadManager.ready.then(() => uploadManager.scheduleUploads());
+  downloadManager.ready.then(() => downloadManager.resumeStalledDownloads());
+});
 
-// Keep service worker alive
-setInterval(() => {
-  // This keeps the service worker active
-}, 1000 * 30); // 30 seconds
\ No newline at end of file
+progressStream.setSnapshotProvider(() =>
+  uploadManager.getTransfers().concat(downloadManager.getTransfers())
+);
+progressStream.setReady(Promise.all([uploadManager.ready, downloadManager.ready]));
@@ -0,0 +1,276 @@
+import { sendMessage } from '../lib/messaging.js';
+
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+const MAX_RECENT_FOLDERS = 5;
+const ROOT_FOLDER = { id: 'root', name: 'My Drive' };
+
+// Recent destinations are kept per account, since a folder ID means nothing
+// to another account. The key is "providerId:accountId".
+async function getRecentFolders(accountKey) {
+  const { recentFolders } = await browserAPI.storage.local.get(['recentFolders']);
+  // Older versions kept one list for every account
+  const byAccount = recentFolders && !Array.isArray(recentFolders) ? recentFolders : {};
+  return { byAccount, folders: byAccount[accountKey] || [] };
+}
+
+// Remember a chosen folder as a recent destination of an account
+async function addRecentFolder(accountKey, folder) {
+  if (folder.id === ROOT_FOLDER.id) return;
+
+  const { byAccount, folders } = await getRecentFolders(accountKey);
+  byAccount[accountKey] = [folder]
+    .concat(folders.filter(recent => recent.id !== folder.id))
+    .slice(0, MAX_RECENT_FOLDERS);
+  await browserAPI.storage.local.set({ recentFolders: byAccount });
+}
+
+// Browse, search and create folders of a storage provider. Used by the popup
+// to choose an upload destination and by the options page for the default
+// folder.
+export class FolderPicker {
+  constructor(container, { onSelect, onCancel, providerId = null, accountId = null } = {}) {
+    this.container = container;
+    this.onSelect = onSelect;
+    this.onCancel = onCancel;
+    // null browses the default provider and its default account
+    this.providerId = providerId;
+    this.accountId = accountId;
+    this.path = [ROOT_FOLDER];
+    this.searchTimer = null;
+    this.accountKey = null;
+  }
+
+  // Browse the folders of another provider or account from now on
+  setProvider(providerId, accountId = null) {
+    this.providerId = providerId;
+    this.accountId = accountId;
+  }
+
+  // Show the picker, starting in the given folder
+  async open(folderId = null) {
+    // The default account may have changed since the picker was last open
+    this.accountKey = null;
+    this.render();
+    this.container.hidden = false;
+
+    if (folderId && folderId !== ROOT_FOLDER.id) {
+      try {
+        const { path } = await sendMessage({
+          action: 'getFolderPath',
+          folderId,
+          providerId: this.providerId,
+          accountId: this.accountId
+        });
+        this.path = [ROOT_FOLDER].concat(path);
+      } catch (error) {
+        console.warn('Could not open folder, starting at My Drive:', error);
+        this.path = [ROOT_FOLDER];
+      }
+    } else {
+      this.path = [ROOT_FOLDER];
+    }
+
+    this.loadRecentFolders();
+    this.loadFolders();
+  }
+
+  // Key of the account being browsed, with the defaults resolved
+  async getAccountKey() {
+    if (!this.accountKey) {
+      const { providerId, accountId } = await sendMessage({
+        action: 'getFolderAccount',
+        providerId: this.providerId,
+        accountId: this.accountId
+      });
+      this.accountKey = `${providerId}:${accountId}`;
+    }
+    return this.accountKey;
+  }
+
+  // Hide the picker
+  close() {
+    this.container.hidden = true;
+    this.container.innerHTML = '';
+  }
+
+  // The folder currently being browsed
+  getCurrentFolder() {
+    return this.path[this.path.length - 1];
+  }
+
+  render() {
+    this.container.innerHTML = `
+      <div class="folder-picker">
+        <div class="folder-picker-breadcrumbs"></div>
+        <input type="text" class="folder-picker-search" placeholder="Search folders">
+        <div class="folder-picker-list"></div>
+        <div class="folder-picker-recent"></div>
+        <div class="folder-picker-actions">
+          <button type="button" class="folder-picker-new">New Folder</button>
+          <span class="folder-picker-spacer"></span>
+          <button type="button" class="folder-picker-cancel">Cancel</button>
+          <button type="button" class="folder-picker-select">Use This Folder</button>
+        </div>
+      </div>
+    `;
+
+    this.breadcrumbsElement = this.container.querySelector('.folder-picker-breadcrumbs');
+    this.searchInput = this.container.querySelector('.folder-picker-search');
+    this.listElement = this.container.querySelector('.folder-picker-list');
+    this.recentElement = this.container.querySelector('.folder-picker-recent');
+
+    this.searchInput.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.loadFolders(), 300);
+    });
+
+    this.container.querySelector('.folder-picker-new').addEventListener('click', () => {
+      this.createFolder();
+    });
+
+    this.container.querySelector('.folder-picker-cancel').addEventListener('click', () => {
+      this.close();
+      if (this.onCancel) this.onCancel();
+    });
+
+    this.container.querySelector('.folder-picker-select').addEventListener('click', () => {
+      this.select(this.getCurrentFolder());
+    });
+  }
+
+  // Render the path from My Drive to the current folder
+  renderBreadcrumbs() {
+    this.breadcrumbsElement.innerHTML = '';
+
+    this.path.forEach((folder, index) => {
+      if (index > 0) {
+        this.breadcrumbsElement.appendChild(document.createTextNode(' › '));
+      }
+
+      const crumb = document.createElement('button');
+      crumb.type = 'button';
+      crumb.className = 'folder-picker-crumb';
+      crumb.textContent = folder.name;
+      crumb.addEventListener('click', () => {
+        this.path = this.path.slice(0, index + 1);
+        this.searchInput.value = '';
+        this.loadFolders();
+      });
+      this.breadcrumbsElement.appendChild(crumb);
+    });
+  }
+
+  // Load subfolders of the current folder, or search results
+  async loadFolders() {
+    this.renderBreadcrumbs();
+    this.listElement.innerHTML = '<div class="folder-picker-empty">Loading…</div>';
+
+    const query = this.searchInput.value.trim();
+
+    try {
+      const { folders } = await sendMessage({
+        action: 'listFolders',
+        providerId: this.providerId,
+        accountId: this.accountId,
+        parentId: this.getCurrentFolder().id,
+        query
+      });
+      this.renderFolders(folders, !!query);
+    } catch (error) {
+      this.listElement.innerHTML = '';
+      const message = document.createElement('div');
+      message.className = 'folder-picker-empty';
+      message.textContent = `Failed to load folders: ${error.message}`;
+      this.listElement.appendChild(message);
+    }
+  }
+
+  renderFolders(folders, isSearch) {
+    this.listElement.innerHTML = '';
+
+    if (folders.length === 0) {
+      this.listElement.innerHTML = `<div class="folder-picker-empty">${isSearch ? 'No matching folders' : 'No subfolders'}</div>`;
+      return;
+    }
+
+    folders.forEach(folder => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'folder-picker-item';
+      item.textContent = folder.name;
+      item.addEventListener('click', async () => {
+        // Search results can live anywhere, so look up their full path
+        if (isSearch) {
+          this.searchInput.value = '';
+          await this.open(folder.id);
+        } else {
+          this.path.push(folder);
+          this.loadFolders();
+        }
+      });
+      this.listElement.appendChild(item);
+    });
+  }
+
+  // Show recently used destinations as shortcuts
+  async loadRecentFolders() {
+    let recentFolders = [];
+    try {
+      recentFolders = (await getRecentFolders(await this.getAccountKey())).folders;
+    } catch (error) {
+      console.warn('Failed to load recent folders:', error);
+    }
+    this.recentElement.innerHTML = '';
+
+    if (recentFolders.length === 0) return;
+
+    const label = document.createElement('span');
+    label.className = 'folder-picker-recent-label';
+    label.textContent = 'Recent:';
+    this.recentElement.appendChild(label);
+
+    recentFolders.forEach(folder => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'folder-picker-chip';
+      chip.textContent = folder.name;
+      chip.title = `Use ${folder.name}`;
+      chip.addEventListener('click', () => this.select(folder));
+      this.recentElement.appendChild(chip);
+    });
+  }
+
+  // Create a folder inside the current folder and open it
+  async createFolder() {
+    const name = prompt('New folder name:');
+    if (!name || !name.trim()) return;
+
+    try {
+      const { folder } = await sendMessage({
+        action: 'createFolder',
+        providerId: this.providerId,
+        accountId: this.accountId,
+        name: name.trim(),
+        parentId: this.getCurrentFolder().id
+      });
+      this.path.push(folder);
+      this.searchInput.value = '';
+      this.loadFolders();
+    } catch (error) {
+      alert(`Failed to create folder: ${error.message}`);
+    }
+  }
+
+  // Choose a folder and close the picker
+  async select(folder) {
+    try {
+      await addRecentFolder(await this.getAccountKey(), folder);
+    } catch (error) {
+      console.warn('Failed to remember the folder:', error);
+    }
+    this.close();
+    if (this.onSelect) this.onSelect(folder);
+  }
+}
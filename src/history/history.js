@@ -0,0 +1,177 @@
+import { HistoryStore, toCsv, toJson } from '../lib/history-store.js';
+
+// Labels of the kinds of history entries
+const KIND_LABELS = {
+  upload: 'File',
+  batch: 'Folder',
+  download: 'Download'
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+  const searchInput = document.getElementById('search');
+  const statusFilter = document.getElementById('status-filter');
+  const kindFilter = document.getElementById('kind-filter');
+  const exportCsvButton = document.getElementById('export-csv');
+  const exportJsonButton = document.getElementById('export-json');
+  const clearHistoryButton = document.getElementById('clear-history');
+  const historyRows = document.getElementById('history-rows');
+  const emptyState = document.getElementById('empty-state');
+
+  const history = new HistoryStore();
+  // Entries matching the current filters, newest first
+  let entries = [];
+
+  loadHistory();
+
+  // Handle searching and filtering
+  searchInput.addEventListener('input', loadHistory);
+  statusFilter.addEventListener('change', loadHistory);
+  kindFilter.addEventListener('change', loadHistory);
+
+  // Pick up transfers that finished while the page was in the background
+  document.addEventListener('visibilitychange', function() {
+    if (document.visibilityState === 'visible') {
+      loadHistory();
+    }
+  });
+
+  // Export the listed entries
+  exportCsvButton.addEventListener('click', function() {
+    saveFile(toCsv(entries), 'text/csv', 'csv');
+  });
+
+  exportJsonButton.addEventListener('click', function() {
+    saveFile(toJson(entries), 'application/json', 'json');
+  });
+
+  clearHistoryButton.addEventListener('click', function() {
+    if (confirm('Are you sure you want to clear the whole history? This cannot be undone.')) {
+      history.clear()
+        .then(loadHistory)
+        .catch(error => alert(`Failed to clear the history: ${error.message}`));
+    }
+  });
+
+  // Read the entries matching the filters and show them
+  async function loadHistory() {
+    try {
+      entries = await history.list({
+        query: searchInput.value.trim(),
+        status: statusFilter.value,
+        kind: kindFilter.value
+      });
+    } catch (error) {
+      console.error('Error loading history:', error);
+      entries = [];
+    }
+    render();
+  }
+
+  function render() {
+    historyRows.innerHTML = '';
+    entries.forEach(entry => historyRows.appendChild(createRowElement(entry)));
+    emptyState.hidden = entries.length > 0;
+    exportCsvButton.disabled = entries.length === 0;
+    exportJsonButton.disabled = entries.length === 0;
+  }
+
+  function createRowElement(entry) {
+    const tr = document.createElement('tr');
+
+    const nameCell = document.createElement('td');
+    nameCell.className = 'name-cell';
+    if (entry.fileUrl) {
+      nameCell.appendChild(createLink(entry.name, entry.fileUrl));
+    } else {
+      nameCell.textContent = entry.name;
+    }
+    nameCell.title = entry.error ? `${entry.name}\n${entry.error}` : entry.name;
+    if (entry.checksums) {
+      nameCell.title += `\nMD5: ${entry.checksums.md5}\nSHA-256: ${entry.checksums.sha256}`;
+    }
+
+    const kindCell = document.createElement('td');
+    kindCell.textContent = entry.kind === 'batch'
+      ? `${KIND_LABELS.batch} (${entry.totalFiles} files)`
+      : KIND_LABELS[entry.kind] || entry.kind;
+
+    const statusCell = document.createElement('td');
+    const status = document.createElement('span');
+    status.className = `status status-${entry.status}`;
+    status.textContent = entry.status;
+    statusCell.appendChild(status);
+
+    const sizeCell = document.createElement('td');
+    sizeCell.textContent = (entry.status === 'failed' || entry.status === 'cancelled') && entry.transferredBytes < entry.size
+      ? `${formatFileSize(entry.transferredBytes)} of ${formatFileSize(entry.size)}`
+      : formatFileSize(entry.size);
+
+    const durationCell = document.createElement('td');
+    durationCell.textContent = formatDuration(entry.duration);
+
+    const speedCell = document.createElement('td');
+    speedCell.textContent = entry.averageSpeed > 0 ? `${formatFileSize(entry.averageSpeed)}/s` : '—';
+
+    const finishedCell = document.createElement('td');
+    finishedCell.textContent = new Date(entry.endTime).toLocaleString();
+
+    const destinationCell = document.createElement('td');
+    const destination = [entry.providerName, entry.accountName].filter(Boolean).join(' · ');
+    if (entry.folderUrl) {
+      destinationCell.appendChild(createLink(destination, entry.folderUrl));
+    } else {
+      destinationCell.textContent = destination;
+    }
+
+    const actionsCell = document.createElement('td');
+    const removeButton = document.createElement('button');
+    removeButton.className = 'link-button';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', function() {
+      history.remove(entry.id)
+        .then(loadHistory)
+        .catch(error => alert(`Failed to remove ${entry.name}: ${error.message}`));
+    });
+    actionsCell.appendChild(removeButton);
+
+    tr.append(nameCell, kindCell, statusCell, sizeCell, durationCell, speedCell, finishedCell, destinationCell, actionsCell);
+    return tr;
+  }
+
+  function createLink(text, url) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = text;
+    return link;
+  }
+
+  // Offer text as a file download
+  function saveFile(content, type, extension) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `drivemanager-history-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+
+  function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  }
+});
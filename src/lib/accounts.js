@@ -0,0 +1,107 @@
+import { validateSettings } from './settings.js';
+
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// Settings an account can override for its own uploads. defaultFolderName
+// only labels the folder on the options page.
+export const ACCOUNT_SETTING_KEYS = ['defaultFolderId', 'defaultFolderName', 'chunkSize', 'adaptiveChunkSize'];
+
+// The global settings with an account's overrides applied
+export function getAccountSettings(settings, account) {
+  const overrides = (account && account.settings) || {};
+  const merged = { ...settings };
+  ACCOUNT_SETTING_KEYS.forEach(key => {
+    if (overrides[key] !== undefined && overrides[key] !== null) {
+      merged[key] = overrides[key];
+    }
+  });
+  return validateSettings(merged);
+}
+
+// Keep only the overrides an account may have, dropping cleared ones
+function pickAccountSettings(settings = {}) {
+  const picked = {};
+  ACCOUNT_SETTING_KEYS.forEach(key => {
+    if (settings[key] !== undefined && settings[key] !== null && settings[key] !== '') {
+      picked[key] = settings[key];
+    }
+  });
+  return picked;
+}
+
+// The signed-in accounts of every provider, saved in storage. Each record is
+// { providerId, id, name, authMethod, settings }; the first account of a
+// provider is its default.
+export class AccountStore {
+  constructor() {
+    this.accounts = [];
+  }
+
+  async load() {
+    const { accounts } = await browserAPI.storage.local.get(['accounts']);
+    this.accounts = Array.isArray(accounts) ? accounts : [];
+    return this.accounts;
+  }
+
+  async save() {
+    await browserAPI.storage.local.set({ accounts: this.accounts });
+  }
+
+  // Accounts of a provider, or of every provider
+  list(providerId = null) {
+    return this.accounts.filter(account => !providerId || account.providerId === providerId);
+  }
+
+  find(providerId, accountId) {
+    return this.accounts.find(account =>
+      account.providerId === providerId && account.id === accountId) || null;
+  }
+
+  getDefault(providerId) {
+    return this.list(providerId)[0] || null;
+  }
+
+  // Add a newly signed-in account, or update the name of a known one
+  async add(providerId, { id, name, authMethod }) {
+    const existing = this.find(providerId, id);
+    if (existing) {
+      existing.name = name;
+      existing.authMethod = authMethod;
+    } else {
+      this.accounts.push({ providerId, id, name, authMethod, settings: {} });
+    }
+    await this.save();
+    return this.find(providerId, id);
+  }
+
+  async remove(providerId, accountId) {
+    this.accounts = this.accounts.filter(account =>
+      account.providerId !== providerId || account.id !== accountId);
+    await this.save();
+  }
+
+  // Replace the setting overrides of an account
+  async updateSettings(providerId, accountId, settings) {
+    const account = this.find(providerId, accountId);
+    if (!account) return null;
+
+    account.settings = pickAccountSettings(settings);
+    await this.save();
+    return account;
+  }
+}
+
+// One string for an account of a provider, for select values and
+// notification targets. Account IDs may contain colons; provider IDs do not.
+export function accountKey(providerId, accountId) {
+  return `${providerId}:${accountId}`;
+}
+
+export function parseAccountKey(key) {
+  const separator = (key || '').indexOf(':');
+  if (separator < 0) {
+    return { providerId: key || null, accountId: null };
+  }
+  return { providerId: key.slice(0, separator), accountId: key.slice(separator + 1) };
+}
@@ -0,0 +1,87 @@
+import { FileStore } from './file-store.js';
+import { Md5, Sha256 } from './digests.js';
+
+// Hashes the source files of uploads off the background's thread. The worker
+// reads each file from the file store itself, so only offsets cross the
+// message boundary. Requests are { id, type, uploadId, end } and are answered
+// with { id, result } or { id, error }.
+
+// Bytes read from the file per step
+const READ_SIZE = 4 * 1024 * 1024;
+
+const fileStore = new FileStore();
+// Hash state of each upload: { file, offset, md5, sha256, result }
+const sessions = new Map();
+// Requests run one at a time so every upload is hashed in order
+let pending = Promise.resolve();
+
+async function getSession(uploadId) {
+  if (!sessions.has(uploadId)) {
+    const file = await fileStore.get(uploadId);
+    if (!file) {
+      throw new Error('Source file is no longer available');
+    }
+    sessions.set(uploadId, { file, offset: 0, md5: new Md5(), sha256: new Sha256() });
+  }
+  return sessions.get(uploadId);
+}
+
+// Hash the file up to end, continuing from where the last request stopped
+async function hashTo(uploadId, end) {
+  const session = await getSession(uploadId);
+  const target = Math.min(end, session.file.size);
+
+  while (session.offset < target) {
+    const next = Math.min(session.offset + READ_SIZE, target);
+    const bytes = new Uint8Array(await session.file.slice(session.offset, next).arrayBuffer());
+    session.md5.update(bytes);
+    session.sha256.update(bytes);
+    session.offset = next;
+  }
+  return session;
+}
+
+// Hash the whole file; the digests are kept so later requests reuse them
+async function digest(uploadId) {
+  const session = await hashTo(uploadId, Infinity);
+  if (!session.result) {
+    session.result = { md5: session.md5.digest(), sha256: session.sha256.digest(), size: session.file.size };
+  }
+  return session.result;
+}
+
+async function handle({ type, uploadId, end }) {
+  switch (type) {
+    case 'update':
+      await hashTo(uploadId, end);
+      return null;
+
+    case 'digest':
+      return digest(uploadId);
+
+    case 'finish': {
+      const result = await digest(uploadId);
+      sessions.delete(uploadId);
+      return result;
+    }
+
+    case 'discard':
+      sessions.delete(uploadId);
+      return null;
+
+    default:
+      throw new Error(`Unknown checksum request: ${type}`);
+  }
+}
+
+self.addEventListener('message', (event) => {
+  const request = event.data;
+  pending = pending.then(() => handle(request)).then(
+    result => self.postMessage({ id: request.id, result }),
+    error => {
+      // A failed upload starts over on the next request
+      sessions.delete(request.uploadId);
+      self.postMessage({ id: request.id, error: error.message });
+    }
+  );
+});
@@ -0,0 +1,76 @@
+import { ensureOffscreenDocument } from './offscreen.js';
+
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// Hashes upload source files in checksum-worker.js. Service workers cannot
+// start workers, so there the offscreen document runs one and relays.
+export class ChecksumClient {
+  constructor() {
+    this.worker = null;
+    this.requests = new Map();
+    this.nextId = 1;
+  }
+
+  // Hash the file of an upload up to the end of the chunk being sent
+  update(uploadId, end) {
+    return this.request({ type: 'update', uploadId, end });
+  }
+
+  // Hash the whole file ahead of the upload and resolve to { md5, sha256,
+  // size }, keeping the state so the upload does not hash it again
+  digest(uploadId) {
+    return this.request({ type: 'digest', uploadId });
+  }
+
+  // Hash the rest of the file and resolve to { md5, sha256, size }
+  finish(uploadId) {
+    return this.request({ type: 'finish', uploadId });
+  }
+
+  // Drop the hash state of a cancelled upload
+  discard(uploadId) {
+    return this.request({ type: 'discard', uploadId });
+  }
+
+  async request(message) {
+    if (typeof Worker !== 'undefined') {
+      return this.postToWorker(message);
+    }
+
+    await ensureOffscreenDocument();
+    const response = await browserAPI.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'checksum',
+      request: message
+    });
+    if (!response || response.error) {
+      throw new Error(`Checksum request failed: ${response ? response.error : 'no response'}`);
+    }
+    return response.result;
+  }
+
+  postToWorker(message) {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./checksum-worker.js', import.meta.url), { type: 'module' });
+      this.worker.addEventListener('message', (event) => {
+        const { id, result, error } = event.data;
+        const pending = this.requests.get(id);
+        if (!pending) return;
+
+        this.requests.delete(id);
+        if (error) {
+          pending.reject(new Error(error));
+        } else {
+          pending.resolve(result);
+        }
+      });
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, { resolve, reject });
+      this.worker.postMessage({ ...message, id });
+    });
+  }
+}
@@ -0,0 +1,63 @@
+// Google Drive requires every chunk except the last to be a multiple of 256 KiB;
+// other providers pass their own limits
+export const CHUNK_SIZE_MULTIPLE = 256 * 1024;
+const DEFAULT_CHUNK_LIMITS = { multiple: CHUNK_SIZE_MULTIPLE, maxSize: Infinity };
+export const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB
+export const MAX_CHUNK_SIZE = 64 * 1024 * 1024; // 64MB
+
+// Aim for chunks that take about this long to send
+const TARGET_CHUNK_DURATION = 10 * 1000; // 10 seconds
+// Number of recent chunk outcomes used for the failure rate
+const OUTCOME_WINDOW = 10;
+// Above this failure rate chunks only ever shrink
+const MAX_FAILURE_RATE = 0.2;
+
+// Round a chunk size down to a valid multiple within bounds
+export function normalizeChunkSize(size, { multiple, maxSize } = DEFAULT_CHUNK_LIMITS) {
+  const max = Math.floor(Math.min(MAX_CHUNK_SIZE, maxSize) / multiple) * multiple;
+  const rounded = Math.floor(size / multiple) * multiple;
+  return Math.min(max, Math.max(multiple, rounded));
+}
+
+// Grows or shrinks the chunk size of an upload based on measured throughput
+// and the recent failure rate
+export class AdaptiveChunkSizer {
+  constructor(initialSize, limits = DEFAULT_CHUNK_LIMITS) {
+    this.limits = limits;
+    this.size = normalizeChunkSize(initialSize, limits);
+    this.outcomes = [];
+  }
+
+  // Record a sent chunk and return the size to use next
+  recordSuccess(bytes, duration) {
+    this.recordOutcome(true);
+
+    if (this.getFailureRate() <= MAX_FAILURE_RATE && bytes > 0) {
+      const ideal = (bytes / Math.max(duration, 1)) * TARGET_CHUNK_DURATION;
+      // Move at most by a factor of two per chunk to avoid oscillating
+      const bounded = Math.min(this.size * 2, Math.max(this.size / 2, ideal));
+      this.size = normalizeChunkSize(bounded, this.limits);
+    }
+
+    return this.size;
+  }
+
+  // Record a failed chunk and return the size to use next
+  recordFailure() {
+    this.recordOutcome(false);
+    this.size = normalizeChunkSize(this.size / 2, this.limits);
+    return this.size;
+  }
+
+  recordOutcome(success) {
+    this.outcomes.push(success);
+    if (this.outcomes.length > OUTCOME_WINDOW) {
+      this.outcomes.shift();
+    }
+  }
+
+  getFailureRate() {
+    const failures = this.outcomes.filter(success => !success).length;
+    return this.outcomes.length > 0 ? failures / this.outcomes.length : 0;
+  }
+}
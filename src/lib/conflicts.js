@@ -0,0 +1,27 @@
+// What to do when the destination folder already has a file with the name of
+// an upload
+
+export const ConflictPolicy = {
+  // Wait for the user to choose in the popup
+  ASK: 'ask',
+  // Leave the existing file and do not upload
+  SKIP: 'skip',
+  // Upload under a new name such as "report (1).pdf"
+  KEEP_BOTH: 'keepBoth',
+  // Upload as a new revision of the existing file
+  REPLACE: 'replace'
+};
+
+export const DEFAULT_CONFLICT_POLICY = ConflictPolicy.ASK;
+
+export function isConflictPolicy(value) {
+  return Object.values(ConflictPolicy).includes(value);
+}
+
+// Number a file name before its extension: "report.pdf" -> "report (2).pdf"
+export function suffixedName(name, number) {
+  const dot = name.lastIndexOf('.');
+  return dot > 0
+    ? `${name.slice(0, dot)} (${number})${name.slice(dot)}`
+    : `${name} (${number})`;
+}
@@ -0,0 +1,203 @@
+// Incremental MD5 and SHA-256. WebCrypto only hashes whole buffers and has no
+// MD5, but Drive reports an MD5 and files can be far larger than memory.
+
+// Write a message length in bits as 8 bytes, little or big endian
+function lengthBytes(byteLength, littleEndian) {
+  const bytes = new Uint8Array(8);
+  const view = new DataView(bytes.buffer);
+  const high = Math.floor(byteLength / 0x20000000);
+  const low = (byteLength * 8) >>> 0;
+  if (littleEndian) {
+    view.setUint32(0, low, true);
+    view.setUint32(4, high, true);
+  } else {
+    view.setUint32(0, high);
+    view.setUint32(4, low);
+  }
+  return bytes;
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Buffers input into 64-byte blocks for the compression function of a
+// Merkle–Damgård hash
+class BlockHash {
+  constructor(littleEndian) {
+    this.littleEndian = littleEndian;
+    this.buffer = new Uint8Array(64);
+    this.bufferLength = 0;
+    this.byteLength = 0;
+  }
+
+  // Hash more bytes
+  update(bytes) {
+    let offset = 0;
+    this.byteLength += bytes.length;
+
+    if (this.bufferLength > 0) {
+      const taken = Math.min(64 - this.bufferLength, bytes.length);
+      this.buffer.set(bytes.subarray(0, taken), this.bufferLength);
+      this.bufferLength += taken;
+      offset = taken;
+      if (this.bufferLength < 64) return this;
+      this.processBlock(this.buffer, 0);
+      this.bufferLength = 0;
+    }
+
+    for (; offset + 64 <= bytes.length; offset += 64) {
+      this.processBlock(bytes, offset);
+    }
+
+    this.buffer.set(bytes.subarray(offset), 0);
+    this.bufferLength = bytes.length - offset;
+    return this;
+  }
+
+  // Pad the message and return the digest as a hex string
+  digest() {
+    const byteLength = this.byteLength;
+    const padding = new Uint8Array(((this.bufferLength < 56 ? 56 : 120) - this.bufferLength));
+    padding[0] = 0x80;
+    this.update(padding);
+    this.update(lengthBytes(byteLength, this.littleEndian));
+    return toHex(this.output());
+  }
+}
+
+const MD5_SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+const MD5_CONSTANTS = Array.from({ length: 64 }, (value, index) =>
+  Math.floor(Math.abs(Math.sin(index + 1)) * 0x100000000) >>> 0);
+
+export class Md5 extends BlockHash {
+  constructor() {
+    super(true);
+    this.state = new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+    this.words = new Uint32Array(16);
+  }
+
+  processBlock(bytes, offset) {
+    const words = this.words;
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      words[i] = bytes[j] | (bytes[j + 1] << 8) | (bytes[j + 2] << 16) | (bytes[j + 3] << 24);
+    }
+
+    let [a, b, c, d] = this.state;
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+
+      const sum = (a + f + MD5_CONSTANTS[i] + words[g]) | 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << MD5_SHIFTS[i]) | (sum >>> (32 - MD5_SHIFTS[i])))) | 0;
+    }
+
+    this.state[0] += a;
+    this.state[1] += b;
+    this.state[2] += c;
+    this.state[3] += d;
+  }
+
+  output() {
+    const bytes = new Uint8Array(16);
+    const view = new DataView(bytes.buffer);
+    this.state.forEach((word, index) => view.setUint32(index * 4, word, true));
+    return bytes;
+  }
+}
+
+const SHA256_CONSTANTS = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+function rotateRight(value, bits) {
+  return (value >>> bits) | (value << (32 - bits));
+}
+
+export class Sha256 extends BlockHash {
+  constructor() {
+    super(false);
+    this.state = new Uint32Array([
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    this.words = new Uint32Array(64);
+  }
+
+  processBlock(bytes, offset) {
+    const words = this.words;
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      words[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotateRight(words[i - 15], 7) ^ rotateRight(words[i - 15], 18) ^ (words[i - 15] >>> 3);
+      const s1 = rotateRight(words[i - 2], 17) ^ rotateRight(words[i - 2], 19) ^ (words[i - 2] >>> 10);
+      words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = this.state;
+    for (let i = 0; i < 64; i++) {
+      const s1 = rotateRight(e, 6) ^ rotateRight(e, 11) ^ rotateRight(e, 25);
+      const choice = (e & f) ^ (~e & g);
+      const temp1 = (h + s1 + choice + SHA256_CONSTANTS[i] + words[i]) | 0;
+      const s0 = rotateRight(a, 2) ^ rotateRight(a, 13) ^ rotateRight(a, 22);
+      const majority = (a & b) ^ (a & c) ^ (b & c);
+      const temp2 = (s0 + majority) | 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + temp1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (temp1 + temp2) | 0;
+    }
+
+    this.state[0] += a;
+    this.state[1] += b;
+    this.state[2] += c;
+    this.state[3] += d;
+    this.state[4] += e;
+    this.state[5] += f;
+    this.state[6] += g;
+    this.state[7] += h;
+  }
+
+  output() {
+    const bytes = new Uint8Array(32);
+    const view = new DataView(bytes.buffer);
+    this.state.forEach((word, index) => view.setUint32(index * 4, word));
+    return bytes;
+  }
+}
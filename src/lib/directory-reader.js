@@ -0,0 +1,60 @@
+// Helpers that turn file inputs and drops into { file, relativePath } entries.
+// relativePath includes the selected top-level directory, e.g. "data/raw/a.csv";
+// for plain files it is just the file name.
+
+// Entries for files picked with <input type="file">, with or without webkitdirectory
+export function readFileList(fileList) {
+  return Array.from(fileList).map(file => ({
+    file,
+    relativePath: file.webkitRelativePath || file.name
+  }));
+}
+
+// Entries for a drop, walking into dropped directories. Must be called from the
+// drop event handler itself, since the items are only readable during the event.
+export function readDataTransfer(dataTransfer) {
+  const entries = Array.from(dataTransfer.items)
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+
+  // Fall back to the flat file list if entries are not supported
+  if (entries.some(entry => !entry)) {
+    return Promise.resolve(readFileList(dataTransfer.files));
+  }
+
+  return collectEntries(entries);
+}
+
+async function collectEntries(entries) {
+  const results = [];
+  for (const entry of entries) {
+    await walkEntry(entry, '', results);
+  }
+  return results;
+}
+
+async function walkEntry(entry, parentPath, results) {
+  const path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    results.push({ file, relativePath: path });
+  } else if (entry.isDirectory) {
+    const reader = entry.createReader();
+
+    // readEntries returns the directory contents in batches until it is empty
+    let children;
+    do {
+      children = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      for (const child of children) {
+        await walkEntry(child, path, results);
+      }
+    } while (children.length > 0);
+  }
+}
+
+// Directory part of a relative path ("data/raw/a.csv" -> "data/raw")
+export function getRelativeDir(relativePath) {
+  const index = relativePath.lastIndexOf('/');
+  return index === -1 ? '' : relativePath.slice(0, index);
+}
@@ -0,0 +1,614 @@
+import { DownloadStore } from './download-store.js';
+import { TransferStore } from './transfer-store.js';
+import {
+  TransferError,
+  AuthRequiredError,
+  ErrorKind,
+  classifyError,
+  parseRetryAfter,
+  sleep
+} from './retry-policy.js';
+import { ensureOffscreenDocument } from './offscreen.js';
+import { createHistoryEntry } from './history-store.js';
+import { getProvider, DEFAULT_PROVIDER_ID } from './providers/index.js';
+import { getEncryptionKeyType, decryptSegments, decryptedName } from './encryption.js';
+import { detectRestart } from './lifecycle.js';
+
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+const DRIVE_FILES_URL = 'https://www.googleapis.com/drive/v3/files';
+const DOWNLOAD_CHUNK_SIZE = 8 * 1024 * 1024; // 8MB chunks
+
+// Download manager class
+export class DownloadManager {
+  // Auth and retry settings, encryption keys and the history are shared with
+  // the upload manager
+  constructor({ getAuthToken, refreshAuthToken, findAccount, recordHistory, getEncryptionSecret, getRetryPolicy, progressStream, keepAlive }) {
+    this.activeDownloads = new Map();
+    this.abortControllers = new Map();
+    this.store = new DownloadStore();
+    this.records = new TransferStore('downloads');
+    this.getAuthToken = getAuthToken;
+    this.refreshAuthToken = refreshAuthToken;
+    this.findAccount = findAccount;
+    this.recordHistory = recordHistory;
+    this.getEncryptionSecret = getEncryptionSecret;
+    this.getRetryPolicy = getRetryPolicy;
+    this.progressStream = progressStream;
+    this.keepAlive = keepAlive;
+    this.isReady = false;
+    this.ready = null;
+  }
+
+  // Listeners are registered right away so their events can wake the
+  // background; they wait for the saved downloads to load
+  initialize() {
+    this.setupMessageHandlers();
+    this.setupDownloadListener();
+    this.ready = this.loadDownloads()
+      .catch(error => console.error('Error initializing downloads:', error))
+      .then(() => {
+        this.isReady = true;
+      });
+    return this.ready;
+  }
+
+  async loadDownloads() {
+    await this.loadPersistedState();
+    await this.recoverInterruptedDownloads();
+    await this.archiveSavedDownloads();
+    this.pruneStoredChunks();
+  }
+
+  // Load download state from storage
+  async loadPersistedState() {
+    try {
+      const downloads = await this.records.load();
+      downloads.forEach(download => {
+        this.activeDownloads.set(download.id, download);
+      });
+    } catch (error) {
+      console.error('Error loading persisted downloads:', error);
+    }
+  }
+
+  // Save changed downloads, leaving out ones cancelled meanwhile
+  saveDownloads(...downloads) {
+    return this.records.save(...downloads.filter(download => this.activeDownloads.get(download.id) === download));
+  }
+
+  // Recover downloads that were interrupted. When only the background was
+  // restarted, its running downloads continue where they stopped.
+  async recoverInterruptedDownloads() {
+    const restarted = await detectRestart();
+    const recovered = [];
+    for (const [id, download] of this.activeDownloads) {
+      if (restarted && download.status === 'downloading') {
+        this.processDownload(id);
+      } else if (download.status === 'downloading' || download.status === 'paused') {
+        // Mark as interrupted to allow manual resume
+        download.status = 'interrupted';
+        this.activeDownloads.set(id, download);
+        recovered.push(download);
+      }
+    }
+    await this.saveDownloads(...recovered);
+  }
+
+  // Continue downloads that should be running but are not, such as ones a
+  // failed restart left behind. Runs when the watchdog wakes the background.
+  resumeStalledDownloads() {
+    this.activeDownloads.forEach((download, id) => {
+      if (download.status === 'downloading' && !this.abortControllers.has(id)) {
+        this.processDownload(id);
+      }
+    });
+  }
+
+  // Move downloads the browser saved in an earlier session to the history
+  async archiveSavedDownloads() {
+    const saved = Array.from(this.activeDownloads.values())
+      .filter(download => download.status === 'completed' && !download.objectUrl);
+    for (const download of saved) {
+      await this.archiveDownload(download, 'completed');
+    }
+  }
+
+  // Record a download in the history and drop it from the live list
+  async archiveDownload(download, status) {
+    if (!(await this.recordHistory(this.toHistoryEntry(download, status)))) return;
+
+    this.activeDownloads.delete(download.id);
+    await this.records.delete(download.id);
+    this.sendUpdateToUI(download.id);
+  }
+
+  // History entry for a download that ended with a status
+  toHistoryEntry(download, status) {
+    const provider = getProvider(DEFAULT_PROVIDER_ID);
+    return createHistoryEntry({
+      id: download.id,
+      kind: 'download',
+      name: download.file.name,
+      status: status,
+      size: download.file.size,
+      transferredBytes: download.downloadedBytes,
+      startTime: download.startTime,
+      endTime: download.endTime || Date.now(),
+      providerId: provider.id,
+      providerName: provider.name,
+      accountName: download.accountName || null,
+      folderUrl: null,
+      fileUrl: provider.getFileUrl(download.fileId),
+      error: download.error || null
+    });
+  }
+
+  // Drop stored chunks that no unfinished download refers to anymore
+  async pruneStoredChunks() {
+    try {
+      const unfinished = Array.from(this.activeDownloads.values())
+        .filter(download => download.status !== 'completed' || download.objectUrl)
+        .map(download => download.id);
+      await this.store.prune(new Set(unfinished));
+    } catch (error) {
+      console.error('Error pruning stored chunks:', error);
+    }
+  }
+
+  // Start downloading a Drive file with an account, or the default account
+  async startDownload(fileId, accountId = null) {
+    if (accountId && !this.findAccount(accountId)) {
+      throw new Error('This account is no longer signed in');
+    }
+
+    const token = await this.getAuthToken(accountId);
+    if (!token) {
+      throw new AuthRequiredError();
+    }
+    // Known once signed in; the download keeps using this account
+    const account = this.findAccount(accountId);
+
+    const metadata = await this.fetchMetadata(fileId, token);
+    if (metadata.mimeType.startsWith('application/vnd.google-apps.')) {
+      throw new Error('Google Docs, Sheets and Slides files cannot be downloaded directly');
+    }
+
+    // Encrypted files are decrypted once downloaded, which needs their key
+    const keyType = getEncryptionKeyType(metadata.appProperties);
+    if (keyType) {
+      await this.getEncryptionSecret(keyType);
+    }
+
+    const downloadId = this.generateDownloadId();
+
+    const download = {
+      id: downloadId,
+      type: 'download',
+      fileId: fileId,
+      accountId: account ? account.id : null,
+      accountName: account ? account.name : null,
+      file: {
+        name: metadata.name,
+        size: parseInt(metadata.size, 10) || 0,
+        type: metadata.mimeType
+      },
+      encryption: keyType ? { keyType } : null,
+      status: 'downloading',
+      progress: 0,
+      downloadedBytes: 0,
+      startTime: Date.now(),
+      error: null
+    };
+
+    this.activeDownloads.set(downloadId, download);
+    await this.saveDownloads(download);
+    this.sendUpdateToUI(downloadId);
+
+    // Start the download process
+    this.processDownload(downloadId);
+
+    return downloadId;
+  }
+
+  // Downloads as shown in the transfer list
+  getTransfers() {
+    return Array.from(this.activeDownloads.values());
+  }
+
+  // Generate a unique download ID
+  generateDownloadId() {
+    return `download_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // Fetch the name, size, type and encryption marks of a Drive file
+  async fetchMetadata(fileId, token) {
+    const response = await fetch(
+      `${DRIVE_FILES_URL}/${encodeURIComponent(fileId)}?fields=name,size,mimeType,appProperties`,
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to get file details: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  // Main download processing method
+  async processDownload(downloadId) {
+    const download = this.activeDownloads.get(downloadId);
+    if (!download) return;
+
+    // Lets pause/cancel interrupt an in-flight chunk or a backoff wait
+    const controller = new AbortController();
+    this.abortControllers.set(downloadId, controller);
+
+    try {
+      this.keepAlive.hold(controller);
+      let token = await this.getAuthToken(download.accountId);
+      if (!token) {
+        throw new AuthRequiredError();
+      }
+
+      const retryPolicy = this.getRetryPolicy();
+      let attempt = 0;
+      this.progressStream.resetProgress(downloadId, download.downloadedBytes);
+
+      while (download.downloadedBytes < download.file.size && download.status === 'downloading') {
+        const startByte = download.downloadedBytes;
+        const endByte = Math.min(startByte + DOWNLOAD_CHUNK_SIZE, download.file.size);
+
+        try {
+          const chunk = await this.downloadChunk(download, startByte, endByte, token, controller.signal);
+          await this.store.putChunk(downloadId, startByte, chunk);
+          attempt = 0;
+
+          // Update progress
+          download.downloadedBytes = startByte + chunk.size;
+          download.progress = (download.downloadedBytes / download.file.size) * 100;
+          this.progressStream.recordProgress(downloadId, download.downloadedBytes);
+          // Progress is saved with the next coalesced write
+          if (this.activeDownloads.get(downloadId) === download) {
+            this.records.saveLater(download);
+          }
+          this.sendUpdateToUI(downloadId);
+        } catch (error) {
+          const kind = classifyError(error);
+
+          // Download was paused or cancelled
+          if (kind === ErrorKind.ABORTED) break;
+
+          if (kind === ErrorKind.FATAL) throw error;
+
+          attempt++;
+          if (!retryPolicy.canRetry(attempt)) {
+            throw new Error(`Chunk download failed after ${attempt} attempts: ${error.message}`);
+          }
+
+          // An expired token is replaced right away instead of waiting
+          if (kind === ErrorKind.AUTH) {
+            token = await this.refreshAuthToken(token, download.accountId);
+            if (!token) {
+              throw new AuthRequiredError();
+            }
+            continue;
+          }
+
+          const delay = retryPolicy.getDelay(attempt, error);
+          console.warn(`Chunk download failed (attempt ${attempt}/${retryPolicy.maxAttempts}), retrying in ${delay}ms:`, error);
+          try {
+            await sleep(delay, controller.signal);
+          } catch (abortError) {
+            break;
+          }
+        }
+      }
+
+      // Hand the file to the browser once all chunks are stored
+      if (download.status === 'downloading' && download.downloadedBytes >= download.file.size) {
+        await this.finishDownload(downloadId);
+      }
+    } catch (error) {
+      console.error('Download error:', error);
+      download.status = 'error';
+      download.error = error.message;
+      await this.saveDownloads(download);
+      this.sendUpdateToUI(downloadId);
+    } finally {
+      if (this.abortControllers.get(downloadId) === controller) {
+        this.abortControllers.delete(downloadId);
+      }
+      this.keepAlive.release(controller);
+    }
+  }
+
+  // Download one byte range of a Drive file
+  async downloadChunk(download, startByte, endByte, token, signal) {
+    const response = await fetch(
+      `${DRIVE_FILES_URL}/${encodeURIComponent(download.fileId)}?alt=media`,
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Range': `bytes=${startByte}-${endByte - 1}`
+        },
+        signal
+      }
+    );
+
+    // A 200 means the Range header was ignored, which is only usable from the start
+    if (response.status !== 206 && !(response.status === 200 && startByte === 0)) {
+      throw new TransferError(`Download failed with status: ${response.status}`, {
+        status: response.status,
+        retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+      });
+    }
+
+    const chunk = await response.blob();
+    if (chunk.size === 0) {
+      throw new Error('Drive returned an empty chunk');
+    }
+    return chunk;
+  }
+
+  // Assemble the stored chunks and save the file with the downloads API
+  async finishDownload(downloadId) {
+    const download = this.activeDownloads.get(downloadId);
+    const name = download.encryption ? decryptedName(download.file.name) : download.file.name;
+
+    if (download.encryption && !download.encryption.decrypted) {
+      await this.decryptDownload(download);
+    }
+
+    download.objectUrl = await this.createObjectUrl(downloadId, download.file.type, !!download.encryption);
+    download.browserDownloadId = await browserAPI.downloads.download({
+      url: download.objectUrl,
+      filename: name.replace(/[\\/:*?"<>|]/g, '_')
+    });
+
+    download.status = 'completed';
+    download.endTime = Date.now();
+    await this.saveDownloads(download);
+    this.sendUpdateToUI(downloadId);
+  }
+
+  // Decrypt the stored chunks of an encrypted file into the chunks of the
+  // original file, a download chunk at a time, then drop the encrypted ones.
+  // Fails if any part of it does not match what was encrypted.
+  async decryptDownload(download) {
+    // Start over from a decryption a restart cut short
+    await this.store.deleteChunks(download.id, true);
+
+    const blob = await this.store.getBlob(download.id);
+    let parts = [];
+    let partsSize = 0;
+    let offset = 0;
+    const writeParts = async () => {
+      await this.store.putChunk(download.id, offset, new Blob(parts), true);
+      offset += partsSize;
+      parts = [];
+      partsSize = 0;
+    };
+
+    await decryptSegments(blob, this.getEncryptionSecret, async segment => {
+      parts.push(segment);
+      partsSize += segment.byteLength;
+      if (partsSize >= DOWNLOAD_CHUNK_SIZE) {
+        await writeParts();
+      }
+    });
+    if (partsSize > 0) {
+      await writeParts();
+    }
+
+    // Saved so a restart before the browser takes the file does not decrypt
+    // it a second time
+    download.encryption.decrypted = true;
+    await this.saveDownloads(download);
+    await this.store.deleteChunks(download.id);
+  }
+
+  // Create a blob URL for the assembled file, or for the decrypted file of an
+  // encrypted download
+  async createObjectUrl(downloadId, type, decrypted = false) {
+    if (typeof URL.createObjectURL === 'function') {
+      const blob = await this.store.getBlob(downloadId, type, decrypted);
+      return URL.createObjectURL(blob);
+    }
+
+    // Service workers cannot create blob URLs, so an offscreen document does it
+    await ensureOffscreenDocument();
+    const response = await browserAPI.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'createObjectUrl',
+      downloadId,
+      type,
+      decrypted
+    });
+
+    if (!response || response.error) {
+      throw new Error(`Failed to assemble download: ${response ? response.error : 'no response'}`);
+    }
+    return response.url;
+  }
+
+  // Release a blob URL once the browser has saved the file
+  async revokeObjectUrl(url) {
+    if (typeof URL.createObjectURL === 'function') {
+      URL.revokeObjectURL(url);
+      return;
+    }
+
+    await browserAPI.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'revokeObjectUrl',
+      url
+    }).catch(error => console.warn('Failed to revoke object URL:', error));
+  }
+
+  // Clean up the stored chunks once the browser is done saving a file
+  setupDownloadListener() {
+    browserAPI.downloads.onChanged.addListener(async (delta) => {
+      if (!delta.state || delta.state.current === 'in_progress') return;
+      await this.ready;
+
+      const download = Array.from(this.activeDownloads.values())
+        .find(item => item.browserDownloadId === delta.id);
+      if (!download || !download.objectUrl) return;
+
+      await this.revokeObjectUrl(download.objectUrl);
+      delete download.objectUrl;
+      await this.store.delete(download.id);
+
+      if (delta.state.current !== 'interrupted') {
+        await this.archiveDownload(download, 'completed');
+        return;
+      }
+
+      // The chunks are gone, so a retry downloads the file again
+      download.status = 'error';
+      download.error = 'The browser failed to save the file';
+      download.downloadedBytes = 0;
+      download.progress = 0;
+      if (download.encryption) {
+        download.encryption.decrypted = false;
+      }
+      await this.saveDownloads(download);
+      this.sendUpdateToUI(download.id);
+    });
+  }
+
+  // Pause a download
+  async pauseDownload(downloadId) {
+    const download = this.activeDownloads.get(downloadId);
+    if (download && download.status === 'downloading') {
+      download.status = 'paused';
+      this.abortDownload(downloadId);
+      await this.saveDownloads(download);
+      this.sendUpdateToUI(downloadId);
+      return true;
+    }
+    return false;
+  }
+
+  // Resume a paused or interrupted download, or retry a failed one
+  async resumeDownload(downloadId) {
+    const download = this.activeDownloads.get(downloadId);
+    if (download && ['paused', 'interrupted', 'error'].includes(download.status)) {
+      download.status = 'downloading';
+      download.error = null;
+      await this.saveDownloads(download);
+      this.sendUpdateToUI(downloadId);
+
+      // Continue from downloadedBytes; earlier chunks are already stored
+      this.processDownload(downloadId);
+      return true;
+    }
+    return false;
+  }
+
+  // Cancel a download and move it to the history
+  async cancelDownload(downloadId) {
+    const download = this.activeDownloads.get(downloadId);
+    if (download) {
+      this.abortDownload(downloadId);
+      await this.recordHistory(this.toHistoryEntry(download,
+        download.status === 'error' ? 'failed' : 'cancelled'));
+
+      this.activeDownloads.delete(downloadId);
+      await this.records.delete(downloadId);
+      await this.store.delete(downloadId);
+      this.sendUpdateToUI(downloadId);
+      return true;
+    }
+    return false;
+  }
+
+  // Stop and drop every download along with its stored chunks, without
+  // recording them in the history
+  async clearDownloads() {
+    const ids = Array.from(this.activeDownloads.keys());
+    ids.forEach(id => this.abortDownload(id));
+    this.activeDownloads.clear();
+
+    await this.records.clear();
+    await this.store.clear();
+    ids.forEach(id => this.sendUpdateToUI(id));
+    return true;
+  }
+
+  // Stop the in-flight request or backoff wait of a download
+  abortDownload(downloadId) {
+    const controller = this.abortControllers.get(downloadId);
+    if (controller) {
+      controller.abort();
+      this.abortControllers.delete(downloadId);
+    }
+  }
+
+  // Send update to UI over the progress stream
+  sendUpdateToUI(downloadId) {
+    const download = this.activeDownloads.get(downloadId);
+    if (download) {
+      this.progressStream.publish(download);
+    } else {
+      this.progressStream.remove(downloadId);
+    }
+  }
+
+  // Setup message handlers for communication with UI, answering once the
+  // saved downloads are loaded
+  setupMessageHandlers() {
+    browserAPI.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      if (this.isReady) {
+        return this.handleMessage(request, sendResponse);
+      }
+      this.ready.then(() => this.handleMessage(request, sendResponse));
+      return true;
+    });
+  }
+
+  // Answer a message from the UI. Returns true if the answer is sent later.
+  handleMessage(request, sendResponse) {
+    switch (request.action) {
+      case 'getDownloads':
+        sendResponse(Array.from(this.activeDownloads.values()));
+        break;
+
+      case 'startDownload':
+        this.startDownload(request.fileId, request.accountId)
+          .then(downloadId => sendResponse({ downloadId }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+
+      case 'pauseDownload':
+        this.pauseDownload(request.downloadId)
+          .then(success => sendResponse({ success }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+
+      case 'resumeDownload':
+        this.resumeDownload(request.downloadId)
+          .then(success => sendResponse({ success }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+
+      case 'cancelDownload':
+        this.cancelDownload(request.downloadId)
+          .then(success => sendResponse({ success }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+
+      case 'clearDownloads':
+        this.clearDownloads()
+          .then(success => sendResponse({ success }))
+          .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+  }
+}
@@ -0,0 +1,68 @@
+import { withStore } from './idb.js';
+
+const STORE_NAME = 'downloadChunks';
+// The decrypted file of an encrypted download is stored beside its encrypted
+// chunks, under the download ID with this suffix
+const DECRYPTED_SUFFIX = ':decrypted';
+
+function fileId(downloadId, decrypted) {
+  return decrypted ? `${downloadId}${DECRYPTED_SUFFIX}` : downloadId;
+}
+
+// Key range covering every chunk of one download, or of its decrypted file
+function chunkRange(downloadId, decrypted = false) {
+  const id = fileId(downloadId, decrypted);
+  return IDBKeyRange.bound([id, 0], [id, Infinity]);
+}
+
+// Keeps the downloaded chunks of Drive files in IndexedDB so downloads survive
+// restarts and can be assembled once complete
+export class DownloadStore {
+  // Store a chunk starting at the given byte offset, of the download or of
+  // its decrypted file
+  async putChunk(downloadId, offset, chunk, decrypted = false) {
+    await withStore(STORE_NAME, 'readwrite', store => store.put(chunk, [fileId(downloadId, decrypted), offset]));
+  }
+
+  // Assemble all stored chunks of a download, or of its decrypted file, into
+  // one blob. The blob reads the chunks from disk as needed.
+  async getBlob(downloadId, type, decrypted = false) {
+    const chunks = await withStore(STORE_NAME, 'readonly', store => store.getAll(chunkRange(downloadId, decrypted)));
+    return new Blob(chunks, { type });
+  }
+
+  // Remove the chunks of a download, or of its decrypted file
+  async deleteChunks(downloadId, decrypted = false) {
+    await withStore(STORE_NAME, 'readwrite', store => store.delete(chunkRange(downloadId, decrypted)));
+  }
+
+  // Remove all chunks of a download along with its decrypted file
+  async delete(downloadId) {
+    await withStore(STORE_NAME, 'readwrite', store => {
+      store.delete(chunkRange(downloadId));
+      store.delete(chunkRange(downloadId, true));
+    });
+  }
+
+  // Remove the chunks of every download
+  async clear() {
+    await withStore(STORE_NAME, 'readwrite', store => store.clear());
+  }
+
+  // Remove chunks that no longer belong to a download
+  async prune(downloadIds) {
+    const keys = await withStore(STORE_NAME, 'readonly', store => store.getAllKeys());
+    const orphans = new Set(keys
+      .map(([id]) => id.endsWith(DECRYPTED_SUFFIX) ? id.slice(0, -DECRYPTED_SUFFIX.length) : id)
+      .filter(id => !downloadIds.has(id)));
+
+    if (orphans.size > 0) {
+      await withStore(STORE_NAME, 'readwrite', store => {
+        orphans.forEach(downloadId => {
+          store.delete(chunkRange(downloadId));
+          store.delete(chunkRange(downloadId, true));
+        });
+      });
+    }
+  }
+}
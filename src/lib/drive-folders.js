@@ -0,0 +1,144 @@
+import { TransferError } from './retry-policy.js';
+
+const DRIVE_FILES_URL = 'https://www.googleapis.com/drive/v3/files';
+export const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// Escape a value for use inside a quoted Drive query string
+function escapeQuery(value) {
+  return value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+// Call the Drive files API and return the parsed JSON response
+async function driveRequest(url, token, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      ...options.headers
+    }
+  });
+
+  if (!response.ok) {
+    throw new TransferError(`Drive request failed with status: ${response.status}`, {
+      status: response.status
+    });
+  }
+
+  return response.json();
+}
+
+// List the folders inside a parent folder, or search all folders by name
+export async function listFolders(token, { parentId = 'root', query = '' } = {}) {
+  const clauses = [`mimeType = '${FOLDER_MIME_TYPE}'`, 'trashed = false'];
+  if (query) {
+    clauses.push(`name contains '${escapeQuery(query)}'`);
+  } else {
+    clauses.push(`'${escapeQuery(parentId)}' in parents`);
+  }
+
+  const params = new URLSearchParams({
+    q: clauses.join(' and '),
+    fields: 'nextPageToken,files(id,name)',
+    orderBy: 'name',
+    pageSize: '200'
+  });
+
+  // Drive returns at most one page at a time
+  const folders = [];
+  let pageToken = null;
+  do {
+    if (pageToken) {
+      params.set('pageToken', pageToken);
+    }
+    const data = await driveRequest(`${DRIVE_FILES_URL}?${params}`, token);
+    folders.push(...(data.files || []));
+    pageToken = data.nextPageToken || null;
+  } while (pageToken);
+
+  return folders;
+}
+
+// Find a folder by exact name inside a parent folder, or null if there is none
+export async function findFolder(token, name, parentId = 'root') {
+  const params = new URLSearchParams({
+    q: [
+      `mimeType = '${FOLDER_MIME_TYPE}'`,
+      'trashed = false',
+      `name = '${escapeQuery(name)}'`,
+      `'${escapeQuery(parentId)}' in parents`
+    ].join(' and '),
+    fields: 'files(id,name)',
+    pageSize: '1'
+  });
+
+  const data = await driveRequest(`${DRIVE_FILES_URL}?${params}`, token);
+  return data.files && data.files.length > 0 ? data.files[0] : null;
+}
+
+// Find the files with an exact name inside a folder, for duplicate checks
+export async function findFiles(token, name, parentId = 'root') {
+  const params = new URLSearchParams({
+    q: [
+      `mimeType != '${FOLDER_MIME_TYPE}'`,
+      'trashed = false',
+      `name = '${escapeQuery(name)}'`,
+      `'${escapeQuery(parentId)}' in parents`
+    ].join(' and '),
+    fields: 'files(id,name,size,md5Checksum,capabilities/canEdit)',
+    pageSize: '100'
+  });
+
+  const data = await driveRequest(`${DRIVE_FILES_URL}?${params}`, token);
+  return (data.files || []).map(file => ({
+    id: file.id,
+    name: file.name,
+    size: file.size !== undefined ? Number(file.size) : null,
+    md5: file.md5Checksum || null,
+    // Files shared with the user read-only cannot take a new revision
+    editable: !file.capabilities || file.capabilities.canEdit !== false
+  }));
+}
+
+// Create a folder and return its ID and name
+export async function createFolder(token, name, parentId = 'root') {
+  return driveRequest(`${DRIVE_FILES_URL}?fields=id,name`, token, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json; charset=UTF-8'
+    },
+    body: JSON.stringify({
+      name,
+      mimeType: FOLDER_MIME_TYPE,
+      parents: [parentId]
+    })
+  });
+}
+
+// Get the chain of folders from My Drive down to a folder, for breadcrumbs
+export async function getFolderPath(token, folderId) {
+  const path = [];
+  let currentId = folderId;
+
+  // Guard against unexpectedly deep or cyclic hierarchies
+  for (let depth = 0; currentId && depth < 32; depth++) {
+    let folder;
+    try {
+      folder = await driveRequest(
+        `${DRIVE_FILES_URL}/${encodeURIComponent(currentId)}?fields=id,name,parents`,
+        token
+      );
+    } catch (error) {
+      // Parents of shared folders may not be visible; show what we have
+      if (path.length > 0) break;
+      throw error;
+    }
+
+    // My Drive itself has no parents
+    if (!folder.parents || folder.parents.length === 0) break;
+
+    path.unshift({ id: folder.id, name: folder.name });
+    currentId = folder.parents[0];
+  }
+
+  return path;
+}
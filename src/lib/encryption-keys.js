@@ -0,0 +1,92 @@
+import { EncryptionKeyType } from './encryption.js';
+
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+const KEY_SIZE = 32;
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+// Keeps the secrets encrypted uploads are made with. The passphrase lives in
+// session storage, so it is forgotten when the browser closes; the stored key
+// is kept in local storage until it is removed.
+export class EncryptionKeys {
+  // Session storage is missing from older browsers
+  getSessionStorage() {
+    if (!browserAPI.storage.session) {
+      throw new Error('This browser cannot keep a passphrase; use a stored key instead');
+    }
+    return browserAPI.storage.session;
+  }
+
+  // The passphrase, or the raw stored key as bytes. Throws if it is not set,
+  // since nothing can be encrypted or decrypted without it.
+  async getSecret(keyType) {
+    if (keyType === EncryptionKeyType.PASSPHRASE) {
+      const { encryptionPassphrase } = await this.getSessionStorage().get(['encryptionPassphrase']);
+      if (!encryptionPassphrase) {
+        throw new Error('Enter the encryption passphrase in the options to continue');
+      }
+      return encryptionPassphrase;
+    }
+
+    const key = await this.getStoredKey();
+    if (!key) {
+      throw new Error('Create or import an encryption key in the options to continue');
+    }
+    return Uint8Array.from(atob(key), character => character.charCodeAt(0));
+  }
+
+  async hasSecret(keyType) {
+    try {
+      await this.getSecret(keyType);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async setPassphrase(passphrase) {
+    if (!passphrase) {
+      throw new Error('The passphrase cannot be empty');
+    }
+    await this.getSessionStorage().set({ encryptionPassphrase: passphrase });
+  }
+
+  async forgetPassphrase() {
+    await this.getSessionStorage().remove(['encryptionPassphrase']);
+  }
+
+  // The stored key as base64, for backing it up
+  async getStoredKey() {
+    const { encryptionKey } = await browserAPI.storage.local.get(['encryptionKey']);
+    return encryptionKey || null;
+  }
+
+  // Create a random key and store it, replacing any earlier one
+  async generateKey() {
+    const key = toBase64(crypto.getRandomValues(new Uint8Array(KEY_SIZE)));
+    await browserAPI.storage.local.set({ encryptionKey: key });
+    return key;
+  }
+
+  // Store a key backed up from another browser
+  async importKey(base64) {
+    let bytes;
+    try {
+      bytes = atob(base64.trim());
+    } catch (error) {
+      throw new Error('The key is not valid base64');
+    }
+    if (bytes.length !== KEY_SIZE) {
+      throw new Error(`The key must be ${KEY_SIZE} bytes long`);
+    }
+    await browserAPI.storage.local.set({ encryptionKey: base64.trim() });
+  }
+
+  async removeKey() {
+    await browserAPI.storage.local.remove(['encryptionKey']);
+  }
+}
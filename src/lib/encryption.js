@@ -0,0 +1,290 @@
+import { readRange } from './remote-source.js';
+
+// Client-side encryption of uploads. An encrypted upload sends a container
+// instead of the file itself, so the storage service never sees the content:
+//
+//   header   40 bytes, big-endian
+//     0   4  magic "DMEC"
+//     4   1  format version, 1
+//     5   1  key type: 1 passphrase, 2 stored key
+//     6   2  reserved, zero
+//     8   4  segment size S, in bytes of the original file
+//    12   8  size of the original file
+//    20  16  random salt
+//    36   4  PBKDF2 iterations, zero for a stored key
+//   segments, one per S bytes of the file and at least one
+//     the AES-256-GCM ciphertext of the segment followed by its 16-byte tag
+//
+// Each file gets its own key: PBKDF2-SHA-256 of the passphrase, or
+// HKDF-SHA-256 of the stored key, with the file's salt. The nonce of segment
+// i is 4 zero bytes followed by i as 8 bytes, and every segment authenticates
+// the header, so segments cannot be reordered, dropped or moved between files.
+// Encrypting a segment again gives the same bytes, which lets an interrupted
+// upload continue at any byte offset.
+
+export const FORMAT_VERSION = 1;
+export const HEADER_SIZE = 40;
+export const TAG_SIZE = 16;
+export const SEGMENT_SIZE = 1024 * 1024; // 1MB
+
+// Name suffix of encrypted files
+export const ENCRYPTED_EXTENSION = '.enc';
+
+export const EncryptionKeyType = {
+  PASSPHRASE: 'passphrase',
+  STORED: 'stored'
+};
+
+const MAGIC = [0x44, 0x4d, 0x45, 0x43]; // "DMEC"
+const KEY_TYPE_CODES = {
+  [EncryptionKeyType.PASSPHRASE]: 1,
+  [EncryptionKeyType.STORED]: 2
+};
+const SALT_SIZE = 16;
+const PBKDF2_ITERATIONS = 600000;
+const HKDF_INFO = new TextEncoder().encode('DriveManager file key');
+const FINGERPRINT_LABEL = new TextEncoder().encode('DriveManager key fingerprint');
+
+// Limits on headers read from downloaded files, so a damaged or crafted file
+// cannot make decryption run for hours or allocate huge segments
+const MAX_SEGMENT_SIZE = 64 * 1024 * 1024;
+const MAX_ITERATIONS = 10000000;
+
+export function isEncryptionKeyType(value) {
+  return Object.values(EncryptionKeyType).includes(value);
+}
+
+// Drive appProperties marking a file as encrypted, or clearing the marks
+// when given null
+export function encryptionProperties(encryption) {
+  return {
+    encrypted: encryption ? 'true' : null,
+    encryptionFormat: encryption ? String(encryption.version) : null,
+    encryptionKeyType: encryption ? encryption.keyType : null
+  };
+}
+
+// The key type of a Drive file with the given appProperties, or null if the
+// file is not encrypted
+export function getEncryptionKeyType(appProperties) {
+  return appProperties && appProperties.encrypted === 'true' && isEncryptionKeyType(appProperties.encryptionKeyType)
+    ? appProperties.encryptionKeyType
+    : null;
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), character => character.charCodeAt(0));
+}
+
+// Parameters of a new encrypted upload, saved with the upload so it can be
+// resumed with the same header and key
+export function createEncryption(keyType, size) {
+  return {
+    version: FORMAT_VERSION,
+    keyType: keyType,
+    segmentSize: SEGMENT_SIZE,
+    plaintextSize: size,
+    salt: toBase64(crypto.getRandomValues(new Uint8Array(SALT_SIZE))),
+    iterations: keyType === EncryptionKeyType.PASSPHRASE ? PBKDF2_ITERATIONS : 0
+  };
+}
+
+function segmentCount(encryption) {
+  return Math.max(1, Math.ceil(encryption.plaintextSize / encryption.segmentSize));
+}
+
+// Size of the container of an encrypted file
+export function encryptedSize(encryption) {
+  return HEADER_SIZE + encryption.plaintextSize + segmentCount(encryption) * TAG_SIZE;
+}
+
+// Name of a file once encrypted, and the original name of an encrypted file
+export function encryptedName(name) {
+  return `${name}${ENCRYPTED_EXTENSION}`;
+}
+
+export function decryptedName(name) {
+  return name.endsWith(ENCRYPTED_EXTENSION) && name.length > ENCRYPTED_EXTENSION.length
+    ? name.slice(0, -ENCRYPTED_EXTENSION.length)
+    : name;
+}
+
+export function encodeHeader(encryption) {
+  const header = new Uint8Array(HEADER_SIZE);
+  const view = new DataView(header.buffer);
+  header.set(MAGIC, 0);
+  view.setUint8(4, encryption.version);
+  view.setUint8(5, KEY_TYPE_CODES[encryption.keyType]);
+  view.setUint32(8, encryption.segmentSize);
+  view.setBigUint64(12, BigInt(encryption.plaintextSize));
+  header.set(fromBase64(encryption.salt), 20);
+  view.setUint32(36, encryption.iterations);
+  return header;
+}
+
+// Read the parameters of an encrypted file from its header
+export function decodeHeader(header) {
+  if (header.length < HEADER_SIZE || MAGIC.some((byte, index) => header[index] !== byte)) {
+    throw new Error('The file is not encrypted by DriveManager');
+  }
+
+  const view = new DataView(header.buffer, header.byteOffset, HEADER_SIZE);
+  const version = view.getUint8(4);
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported encryption format version: ${version}`);
+  }
+
+  const keyType = Object.keys(KEY_TYPE_CODES).find(type => KEY_TYPE_CODES[type] === view.getUint8(5));
+  const segmentSize = view.getUint32(8);
+  const plaintextSize = Number(view.getBigUint64(12));
+  const iterations = view.getUint32(36);
+  if (!keyType || segmentSize === 0 || segmentSize > MAX_SEGMENT_SIZE ||
+      !Number.isSafeInteger(plaintextSize) || iterations > MAX_ITERATIONS ||
+      (keyType === EncryptionKeyType.PASSPHRASE && iterations === 0)) {
+    throw new Error('The header of the encrypted file is damaged');
+  }
+
+  return {
+    version,
+    keyType,
+    segmentSize,
+    plaintextSize,
+    salt: toBase64(header.slice(20, 20 + SALT_SIZE)),
+    iterations
+  };
+}
+
+// The 256 bits of the key of one file, from the passphrase or the raw
+// stored key
+async function deriveKeyBits(secret, encryption) {
+  const salt = fromBase64(encryption.salt);
+
+  if (encryption.keyType === EncryptionKeyType.PASSPHRASE) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits']);
+    return crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: encryption.iterations }, material, 256);
+  }
+
+  const material = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveBits']);
+  return crypto.subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info: HKDF_INFO }, material, 256);
+}
+
+function importFileKey(bits) {
+  return crypto.subtle.importKey('raw', bits, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+// The AES-GCM key of one file
+export async function deriveFileKey(secret, encryption) {
+  return importFileKey(await deriveKeyBits(secret, encryption));
+}
+
+// The AES-GCM key of one file and its fingerprint, an HMAC of a fixed label
+// under the same bits. An upload keeps the fingerprint so it can tell when it
+// would continue under another key than the one it started with.
+export async function deriveFileKeyWithFingerprint(secret, encryption) {
+  const bits = await deriveKeyBits(secret, encryption);
+  const hmacKey = await crypto.subtle.importKey('raw', bits, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const fingerprint = await crypto.subtle.sign('HMAC', hmacKey, FINGERPRINT_LABEL);
+  return { key: await importFileKey(bits), fingerprint: toBase64(new Uint8Array(fingerprint)) };
+}
+
+function segmentNonce(index) {
+  const nonce = new Uint8Array(12);
+  new DataView(nonce.buffer).setBigUint64(4, BigInt(index));
+  return nonce;
+}
+
+// Reads byte ranges of the container of an encrypted file, encrypting the
+// segments of the source file they cover
+export class EncryptedSource {
+  constructor(source, key, encryption) {
+    this.source = source;
+    this.key = key;
+    this.encryption = encryption;
+    this.header = encodeHeader(encryption);
+    this.size = encryptedSize(encryption);
+    // Chunks rarely end on a segment boundary, so the segment a chunk ends
+    // in is kept for the next one
+    this.lastSegment = null;
+  }
+
+  // Read bytes from start up to, but not including, end
+  async read(start, end, signal) {
+    const stride = this.encryption.segmentSize + TAG_SIZE;
+    const parts = [];
+    let offset = start;
+
+    if (offset < HEADER_SIZE) {
+      parts.push(this.header.slice(offset, Math.min(end, HEADER_SIZE)));
+      offset = HEADER_SIZE;
+    }
+
+    while (offset < end) {
+      const index = Math.floor((offset - HEADER_SIZE) / stride);
+      const segmentStart = HEADER_SIZE + index * stride;
+      const segment = await this.encryptSegment(index, signal);
+      const segmentEnd = Math.min(segment.byteLength, end - segmentStart);
+      parts.push(new Uint8Array(segment, offset - segmentStart, segmentEnd - (offset - segmentStart)));
+      offset = segmentStart + segmentEnd;
+    }
+
+    return new Blob(parts);
+  }
+
+  async encryptSegment(index, signal) {
+    if (this.lastSegment && this.lastSegment.index === index) {
+      return this.lastSegment.data;
+    }
+
+    const start = index * this.encryption.segmentSize;
+    const end = Math.min(start + this.encryption.segmentSize, this.encryption.plaintextSize);
+    const plaintext = end > start ? await readRange(this.source, start, end, signal) : new Blob([]);
+
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: segmentNonce(index), additionalData: this.header },
+      this.key,
+      await plaintext.arrayBuffer()
+    );
+    this.lastSegment = { index, data };
+    return data;
+  }
+}
+
+// Decrypt an encrypted file one segment at a time and check each against its
+// tag, handing the decrypted segments to onSegment in order so the file never
+// has to fit in memory. getSecret(keyType) resolves to the passphrase or
+// stored key to use.
+export async function decryptSegments(blob, getSecret, onSegment) {
+  const header = new Uint8Array(await blob.slice(0, HEADER_SIZE).arrayBuffer());
+  const encryption = decodeHeader(header);
+  if (blob.size !== encryptedSize(encryption)) {
+    throw new Error('The encrypted file is incomplete or has extra data');
+  }
+
+  const key = await deriveFileKey(await getSecret(encryption.keyType), encryption);
+  const stride = encryption.segmentSize + TAG_SIZE;
+
+  for (let index = 0; index < segmentCount(encryption); index++) {
+    const start = HEADER_SIZE + index * stride;
+    const ciphertext = await blob.slice(start, Math.min(start + stride, blob.size)).arrayBuffer();
+    let plaintext;
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: segmentNonce(index), additionalData: header },
+        key,
+        ciphertext
+      );
+    } catch (error) {
+      // The first segment also fails when the key is wrong
+      throw new Error(index === 0
+        ? 'Failed to decrypt the file: the passphrase or key is wrong, or the file was changed'
+        : 'Failed to decrypt the file: it was changed after it was encrypted');
+    }
+    await onSegment(plaintext);
+  }
+}
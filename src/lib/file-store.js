@@ -0,0 +1,87 @@
+import { withStore } from './idb.js';
+
+const STORE_NAME = 'files';
+const STAGED_PREFIX = 'staged_';
+const STAGED_MAX_AGE = 60 * 60 * 1000; // 1 hour
+
+// Keeps the source files of uploads in IndexedDB so the background worker can
+// reopen them after the popup closes or the browser restarts
+export class FileStore {
+  // Stage a file picked in an extension page and return its temporary key
+  async stage(file) {
+    const key = `${STAGED_PREFIX}${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    await withStore(STORE_NAME, 'readwrite', store => store.put(file, key));
+    return key;
+  }
+
+  // Stage many files in one transaction and return their keys in order
+  async stageMany(files) {
+    const prefix = `${STAGED_PREFIX}${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const keys = files.map((file, index) => `${prefix}_${index}`);
+
+    await withStore(STORE_NAME, 'readwrite', store => {
+      files.forEach((file, index) => store.put(file, keys[index]));
+    });
+    return keys;
+  }
+
+  // Move a staged file under its upload ID
+  async claim(stagedKey, uploadId) {
+    await withStore(STORE_NAME, 'readwrite', store => {
+      const request = store.get(stagedKey);
+      request.onsuccess = () => {
+        if (request.result) {
+          store.put(request.result, uploadId);
+          store.delete(stagedKey);
+        }
+      };
+      return request;
+    });
+
+    return this.has(uploadId);
+  }
+
+  // Get the stored file for an upload, or null if it is gone
+  async get(uploadId) {
+    const file = await withStore(STORE_NAME, 'readonly', store => store.get(uploadId));
+    return file || null;
+  }
+
+  // Check whether a file is stored for an upload
+  async has(uploadId) {
+    const count = await withStore(STORE_NAME, 'readonly', store => store.count(uploadId));
+    return count > 0;
+  }
+
+  // Remove the stored file for an upload
+  async delete(uploadId) {
+    await withStore(STORE_NAME, 'readwrite', store => store.delete(uploadId));
+  }
+
+  // Remove every stored and staged file
+  async clear() {
+    await withStore(STORE_NAME, 'readwrite', store => store.clear());
+  }
+
+  // Remove files that no longer belong to an upload. Recently staged files are
+  // kept since an extension page may still be about to start their upload.
+  async prune(uploadIds) {
+    const keys = await withStore(STORE_NAME, 'readonly', store => store.getAllKeys());
+    const now = Date.now();
+
+    const orphans = keys.filter(key => {
+      if (uploadIds.has(key)) return false;
+      if (key.startsWith(STAGED_PREFIX)) {
+        const stagedAt = parseInt(key.slice(STAGED_PREFIX.length), 10);
+        return now - stagedAt > STAGED_MAX_AGE;
+      }
+      return true;
+    });
+
+    if (orphans.length > 0) {
+      await withStore(STORE_NAME, 'readwrite', store => {
+        orphans.forEach(key => store.delete(key));
+      });
+    }
+  }
+}
@@ -0,0 +1,110 @@
+import { withStore } from './idb.js';
+
+const STORE_NAME = 'history';
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'id', 'kind', 'name', 'status', 'size', 'transferredBytes', 'startTime', 'endTime',
+  'duration', 'averageSpeed', 'providerName', 'accountName', 'folderUrl', 'fileUrl', 'error'
+];
+
+// Build a history entry from the fields of a finished transfer, adding its
+// duration in ms and average speed in bytes per second
+export function createHistoryEntry(fields) {
+  const endTime = fields.endTime || Date.now();
+  const duration = Math.max(0, endTime - (fields.startTime || endTime));
+  return {
+    ...fields,
+    endTime: endTime,
+    duration: duration,
+    averageSpeed: duration > 0 ? Math.round((fields.transferredBytes || 0) / (duration / 1000)) : 0
+  };
+}
+
+// Whether an entry matches the filters of the history view
+function matches(entry, { query = '', status = '', kind = '' }) {
+  if (status && entry.status !== status) return false;
+  if (kind && entry.kind !== kind) return false;
+  if (!query) return true;
+
+  const needle = query.toLowerCase();
+  return [entry.name, entry.accountName, entry.providerName, entry.error]
+    .some(value => value && value.toLowerCase().includes(needle));
+}
+
+// Quote a CSV field if needed
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(entries) {
+  const lines = [CSV_COLUMNS.join(',')];
+  entries.forEach(entry => {
+    lines.push(CSV_COLUMNS.map(column => {
+      const value = entry[column];
+      return csvField((column === 'startTime' || column === 'endTime') && value
+        ? new Date(value).toISOString()
+        : value);
+    }).join(','));
+  });
+  return lines.join('\r\n');
+}
+
+export function toJson(entries) {
+  return JSON.stringify(entries, null, 2);
+}
+
+// Keeps finished, failed and cancelled transfers in IndexedDB, apart from
+// the live transfers in storage. Used by the background to record transfers
+// and by the history page to browse them.
+export class HistoryStore {
+  async add(entry) {
+    await withStore(STORE_NAME, 'readwrite', store => store.put(entry));
+  }
+
+  async get(id) {
+    const entry = await withStore(STORE_NAME, 'readonly', store => store.get(id));
+    return entry || null;
+  }
+
+  // Entries matching the filters, newest first
+  async list(filters = {}) {
+    const entries = await withStore(STORE_NAME, 'readonly', store => store.index('endTime').getAll());
+    return entries.reverse().filter(entry => matches(entry, filters));
+  }
+
+  async remove(id) {
+    await withStore(STORE_NAME, 'readwrite', store => store.delete(id));
+  }
+
+  async clear() {
+    await withStore(STORE_NAME, 'readwrite', store => store.clear());
+  }
+
+  // Apply the retention rules: drop entries older than maxAgeDays and all but
+  // the newest maxEntries. 0 disables a rule.
+  async prune({ maxAgeDays = 0, maxEntries = 0 } = {}) {
+    const keys = await withStore(STORE_NAME, 'readonly', store => store.index('endTime').getAllKeys());
+    const expired = new Set();
+
+    if (maxEntries > 0 && keys.length > maxEntries) {
+      keys.slice(0, keys.length - maxEntries).forEach(key => expired.add(key));
+    }
+
+    if (maxAgeDays > 0) {
+      const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+      const old = await withStore(STORE_NAME, 'readonly', store =>
+        store.index('endTime').getAllKeys(IDBKeyRange.upperBound(cutoff, true)));
+      old.forEach(key => expired.add(key));
+    }
+
+    if (expired.size > 0) {
+      await withStore(STORE_NAME, 'readwrite', store => {
+        expired.forEach(key => store.delete(key));
+      });
+    }
+    return expired.size;
+  }
+}
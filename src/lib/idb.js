@@ -0,0 +1,74 @@
+// IndexedDB helpers shared by the background worker and extension pages
+
+const DB_NAME = 'drivemanager';
+const DB_VERSION = 4;
+
+let dbPromise = null;
+
+// Open the extension database, creating or upgrading object stores as needed
+export function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+
+        if (event.oldVersion < 1) {
+          // Source files of uploads, keyed by upload ID
+          db.createObjectStore('files');
+        }
+
+        if (event.oldVersion < 2) {
+          // Partial data of downloads, keyed by [download ID, start byte]
+          db.createObjectStore('downloadChunks');
+        }
+
+        if (event.oldVersion < 3) {
+          // Finished, failed and cancelled transfers, newest first by endTime
+          const history = db.createObjectStore('history', { keyPath: 'id' });
+          history.createIndex('endTime', 'endTime');
+        }
+
+        if (event.oldVersion < 4) {
+          // Live transfers, one record per upload, batch or download
+          db.createObjectStore('uploads', { keyPath: 'id' });
+          db.createObjectStore('batches', { keyPath: 'id' });
+          db.createObjectStore('downloads', { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the extension upgrade the database
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Run a callback against an object store and resolve once the transaction commits.
+// The callback must issue its requests synchronously; the result of the request
+// it returns (if any) is the resolved value.
+export async function withStore(storeName, mode, callback) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
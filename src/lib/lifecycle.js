@@ -0,0 +1,113 @@
+import { ensureOffscreenDocument } from './offscreen.js';
+
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// The browser stops an idle background after about 30 seconds, even with a
+// fetch still running, and timers do not count as activity. Events and
+// extension API calls do, so a transfer keeps the background alive by
+// causing one well within that time.
+
+export const KEEPALIVE_PORT_NAME = 'keepalive';
+export const HEARTBEAT_INTERVAL = 20 * 1000; // 20 seconds
+
+const WATCHDOG_ALARM = 'watchdog';
+const WATCHDOG_PERIOD = 1; // minutes
+
+let restartPromise = null;
+
+// Whether the background was restarted within the browser session, rather
+// than started along with the browser. Session storage outlives the
+// background but not the browser. The answer is the same for every caller.
+export function detectRestart() {
+  if (!restartPromise) {
+    restartPromise = (async () => {
+      if (!browserAPI.storage.session) return false;
+
+      const { backgroundStarted } = await browserAPI.storage.session.get(['backgroundStarted']);
+      await browserAPI.storage.session.set({ backgroundStarted: true });
+      return !!backgroundStarted;
+    })().catch(error => {
+      console.warn('Failed to detect a background restart:', error);
+      return false;
+    });
+  }
+  return restartPromise;
+}
+
+// Keeps the background running while any holder, such as a running transfer,
+// needs it. Where an offscreen document is available, it sends a heartbeat
+// over a port; elsewhere the background calls an extension API itself. A
+// watchdog alarm wakes the background up again if it is stopped anyway, so
+// its transfers can be picked up where they were.
+export class KeepAlive {
+  constructor() {
+    this.holders = new Set();
+    this.timer = null;
+  }
+
+  // Call onWake when the watchdog wakes the background. Must run when the
+  // background starts so the alarm can wake it.
+  listen(onWake) {
+    browserAPI.runtime.onConnect.addListener(port => {
+      if (port.name !== KEEPALIVE_PORT_NAME) return;
+      // Receiving the heartbeat is what counts as activity
+      port.onMessage.addListener(() => {});
+    });
+
+    browserAPI.alarms.onAlarm.addListener(alarm => {
+      if (alarm.name === WATCHDOG_ALARM) {
+        onWake();
+      }
+    });
+  }
+
+  // Keep the background alive for a holder until it is released
+  hold(holder) {
+    this.holders.add(holder);
+    if (this.holders.size === 1) {
+      this.start();
+    }
+  }
+
+  release(holder) {
+    if (this.holders.delete(holder) && this.holders.size === 0) {
+      this.stop();
+    }
+  }
+
+  // Hold or release depending on whether a holder still needs the background
+  update(holder, needed) {
+    if (needed) {
+      this.hold(holder);
+    } else {
+      this.release(holder);
+    }
+  }
+
+  start() {
+    browserAPI.alarms.create(WATCHDOG_ALARM, { periodInMinutes: WATCHDOG_PERIOD });
+    this.sendHeartbeat(true);
+  }
+
+  stop() {
+    Promise.resolve(browserAPI.alarms.clear(WATCHDOG_ALARM))
+      .catch(error => console.warn('Failed to clear alarm:', error));
+    this.sendHeartbeat(false);
+  }
+
+  // Start or stop the heartbeat
+  sendHeartbeat(active) {
+    if (browserAPI.offscreen) {
+      ensureOffscreenDocument()
+        .then(() => browserAPI.runtime.sendMessage({ target: 'offscreen', action: 'heartbeat', active }))
+        .catch(error => console.warn('Failed to change the heartbeat:', error));
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = active
+      ? setInterval(() => browserAPI.runtime.getPlatformInfo(), HEARTBEAT_INTERVAL)
+      : null;
+  }
+}
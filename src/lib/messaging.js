@@ -0,0 +1,17 @@
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// Send a message to the background and reject if it reports an error
+export function sendMessage(message) {
+  return new Promise((resolve, reject) => {
+    browserAPI.runtime.sendMessage(message, function(response) {
+      if (!response) {
+        reject(new Error('No response from background'));
+      } else if (response.error) {
+        reject(new Error(response.error));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
@@ -0,0 +1,99 @@
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+export const NotificationEvent = {
+  COMPLETED: 'completed',
+  ERROR: 'error',
+  INTERRUPTED: 'interrupted',
+  AUTH_REQUIRED: 'authRequired'
+};
+
+// The setting that turns each event's notifications on or off
+const EVENT_SETTINGS = {
+  [NotificationEvent.COMPLETED]: 'notifyOnComplete',
+  [NotificationEvent.ERROR]: 'notifyOnError',
+  [NotificationEvent.INTERRUPTED]: 'notifyOnInterrupted',
+  [NotificationEvent.AUTH_REQUIRED]: 'notifyOnAuthRequired'
+};
+
+// The action each event's button (or a click on the notification) runs
+const EVENT_ACTIONS = {
+  [NotificationEvent.COMPLETED]: { action: 'open', title: 'Open in Drive' },
+  [NotificationEvent.ERROR]: { action: 'retry', title: 'Retry' },
+  [NotificationEvent.INTERRUPTED]: { action: 'resume', title: 'Resume' },
+  [NotificationEvent.AUTH_REQUIRED]: { action: 'signIn', title: 'Sign in' }
+};
+
+// Firefox rejects notifications with buttons
+const SUPPORTS_BUTTONS = typeof browser === 'undefined';
+
+const ICON_URL = 'icons/icon-128.png';
+
+// Shows desktop notifications for transfer events. The notification ID holds
+// the event and its target, so clicks still route to the right transfer after
+// the background has been restarted.
+export class Notifier {
+  constructor(settings) {
+    this.settings = settings;
+  }
+
+  // Call onAction(action, target) when a notification or its button is clicked
+  listen(onAction) {
+    const handle = notificationId => {
+      const parsed = this.parseId(notificationId);
+      if (!parsed) return;
+
+      browserAPI.notifications.clear(notificationId);
+      onAction(EVENT_ACTIONS[parsed.event].action, parsed.target);
+    };
+
+    browserAPI.notifications.onClicked.addListener(handle);
+    if (SUPPORTS_BUTTONS) {
+      browserAPI.notifications.onButtonClicked.addListener(handle);
+    }
+  }
+
+  // Whether notifications for an event are turned on
+  isEnabled(event) {
+    return this.settings.get()[EVENT_SETTINGS[event]];
+  }
+
+  // Whether batches get one summary notification instead of one per file
+  summarizesBatches() {
+    return this.settings.get().summarizeBatchNotifications;
+  }
+
+  // Show a notification for an event. The target is { kind, id } with kind
+  // 'upload', 'batch', 'account', 'url' (with the URL encoded as its ID) or
+  // 'all'; a newer notification for the same event and target replaces the
+  // older one.
+  async notify(event, target, title, message) {
+    if (!this.isEnabled(event)) return;
+
+    const options = {
+      type: 'basic',
+      iconUrl: ICON_URL,
+      title: title,
+      message: message
+    };
+    if (SUPPORTS_BUTTONS) {
+      options.buttons = [{ title: EVENT_ACTIONS[event].title }];
+    }
+
+    try {
+      await browserAPI.notifications.create(this.createId(event, target), options);
+    } catch (error) {
+      console.warn('Failed to show notification:', error);
+    }
+  }
+
+  createId(event, target) {
+    return ['drivemanager', event, target.kind, target.id].join('|');
+  }
+
+  parseId(notificationId) {
+    const [prefix, event, kind, id] = notificationId.split('|');
+    if (prefix !== 'drivemanager' || !EVENT_ACTIONS[event]) return null;
+    return { event, target: { kind, id } };
+  }
+}
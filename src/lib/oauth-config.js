@@ -0,0 +1,21 @@
+// Client IDs of the OAuth apps the extension signs in with. Sign-in uses
+// PKCE, so no client secret is needed except by Google, whose token endpoint
+// asks web clients for theirs anyway. scripts/build.js fills each one in from
+// the environment variable of the same name; an empty one leaves sign-in
+// through that app unavailable.
+
+// Google "Web application" client with the extension's
+// identity.getRedirectURL() as a redirect URI, for browsers without
+// identity.getAuthToken (Firefox)
+export const GOOGLE_WEB_CLIENT_ID = '';
+// Secret of that client. Shipped in the extension, it protects nothing, but
+// the token exchange fails without it.
+export const GOOGLE_WEB_CLIENT_SECRET = '';
+
+// App registered in the Microsoft identity platform, with the redirect URL as
+// a SPA redirect URI
+export const ONEDRIVE_CLIENT_ID = '';
+
+// App key of the app registered in the Dropbox App Console, with the
+// redirect URL as a redirect URI
+export const DROPBOX_CLIENT_ID = '';
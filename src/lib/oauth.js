@@ -0,0 +1,278 @@
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// Cached tokens of every OAuth client, keyed by client name
+const TOKEN_STORAGE_KEY = 'oauthTokens';
+// Treat tokens as expired this long before they actually do
+const EXPIRY_MARGIN = 60 * 1000; // 1 minute
+
+// Every client rewrites the one stored map of tokens, so writes run one after
+// another; otherwise two accounts refreshing at once would drop a token
+let tokenWrites = Promise.resolve();
+
+// Encode bytes as unpadded base64url
+function base64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Create a PKCE code verifier and its S256 challenge
+async function createPkcePair() {
+  const verifier = base64Url(crypto.getRandomValues(new Uint8Array(32)));
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return { verifier, challenge: base64Url(new Uint8Array(digest)) };
+}
+
+// Authorization code flow with PKCE through identity.launchWebAuthFlow, for
+// services and browsers that identity.getAuthToken cannot sign in to. Tokens
+// are cached in storage and refreshed with the refresh token when they expire.
+export class OAuthClient {
+  constructor({ name, clientId, clientSecret = null, authUrl, tokenUrl, revokeUrl = null, scopes, authParams = {} }) {
+    this.name = name;
+    this.clientId = clientId;
+    // Sent only to services that want it even with PKCE, like Google
+    this.clientSecret = clientSecret;
+    this.authUrl = authUrl;
+    this.tokenUrl = tokenUrl;
+    this.revokeUrl = revokeUrl;
+    this.scopes = scopes;
+    this.authParams = authParams;
+    // Copy of the stored token; undefined until first read
+    this.token = undefined;
+    this.pendingRefresh = null;
+  }
+
+  // Get an access token valid for at least minValidity ms, refreshing or
+  // signing in as needed. Resolves to null if the user has to sign in and
+  // interactive is false.
+  async getToken({ interactive = true, minValidity = 0 } = {}) {
+    if (!this.clientId) {
+      throw new Error(`Sign-in for ${this.name} is not configured`);
+    }
+
+    const cached = await this.loadToken();
+    if (cached && cached.expiresAt - EXPIRY_MARGIN - minValidity > Date.now()) {
+      return cached.accessToken;
+    }
+
+    if (cached && cached.refreshToken) {
+      try {
+        return await this.refresh(cached.refreshToken);
+      } catch (error) {
+        console.warn(`Failed to refresh ${this.name} token:`, error);
+      }
+    }
+
+    return interactive ? this.authorize() : null;
+  }
+
+  // Forget a token the service rejected, keeping the refresh token
+  async removeCachedToken(token) {
+    const cached = await this.loadToken();
+    if (cached && cached.accessToken === token) {
+      await this.saveToken({ ...cached, expiresAt: 0 });
+    }
+  }
+
+  // Forget every token of this client
+  async clearToken() {
+    await this.saveToken(null);
+  }
+
+  // Revoke the tokens with the service, if it supports that, and forget them
+  async signOut() {
+    const cached = await this.loadToken();
+    if (cached && this.revokeUrl) {
+      try {
+        // Revoking the refresh token also revokes its access tokens
+        await fetch(this.revokeUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body: new URLSearchParams({ token: cached.refreshToken || cached.accessToken })
+        });
+      } catch (error) {
+        console.warn(`Failed to revoke ${this.name} token:`, error);
+      }
+    }
+    await this.clearToken();
+  }
+
+  // Let the user sign in and cache the tokens
+  async authorize(extraParams = {}) {
+    const token = await this.authorizeNew(extraParams);
+    if (!token) return null;
+
+    await this.saveToken(token);
+    return token.accessToken;
+  }
+
+  // Let the user sign in and exchange the authorization code for tokens,
+  // without caching them. Resolves to null if sign-in fails.
+  async authorizeNew(extraParams = {}) {
+    if (!this.clientId) {
+      throw new Error(`Sign-in for ${this.name} is not configured`);
+    }
+
+    const redirectUri = browserAPI.identity.getRedirectURL();
+    const { verifier, challenge } = await createPkcePair();
+    const state = base64Url(crypto.getRandomValues(new Uint8Array(16)));
+
+    const params = new URLSearchParams({
+      client_id: this.clientId,
+      response_type: 'code',
+      redirect_uri: redirectUri,
+      code_challenge: challenge,
+      code_challenge_method: 'S256',
+      state: state,
+      ...(this.scopes.length > 0 && { scope: this.scopes.join(' ') }),
+      ...this.authParams,
+      ...extraParams
+    });
+
+    let responseUrl;
+    try {
+      responseUrl = await browserAPI.identity.launchWebAuthFlow({
+        url: `${this.authUrl}?${params}`,
+        interactive: true
+      });
+    } catch (error) {
+      console.error(`${this.name} sign-in failed:`, error);
+      return null;
+    }
+
+    const result = new URL(responseUrl).searchParams;
+    if (result.get('state') !== state || !result.get('code')) {
+      console.error(`${this.name} sign-in failed:`, result.get('error') || 'invalid response');
+      return null;
+    }
+
+    return this.fetchToken({
+      grant_type: 'authorization_code',
+      code: result.get('code'),
+      redirect_uri: redirectUri,
+      code_verifier: verifier
+    });
+  }
+
+  // Get a new access token with a refresh token. Uploads running side by
+  // side share one request.
+  refresh(refreshToken) {
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.fetchToken({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken
+      }, refreshToken).then(async token => {
+        await this.saveToken(token);
+        return token.accessToken;
+      }).finally(() => {
+        this.pendingRefresh = null;
+      });
+    }
+    return this.pendingRefresh;
+  }
+
+  // Call the token endpoint and return { accessToken, refreshToken, expiresAt }
+  async fetchToken(grant, previousRefreshToken = null) {
+    const response = await fetch(this.tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({
+        client_id: this.clientId,
+        ...(this.clientSecret && { client_secret: this.clientSecret }),
+        ...grant
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Token request failed with status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return {
+      accessToken: data.access_token,
+      // Some services only issue a refresh token on the first sign-in
+      refreshToken: data.refresh_token || previousRefreshToken,
+      expiresAt: Date.now() + (data.expires_in || 3600) * 1000
+    };
+  }
+
+  async loadToken() {
+    if (this.token === undefined) {
+      const data = await browserAPI.storage.local.get([TOKEN_STORAGE_KEY]);
+      const tokens = data[TOKEN_STORAGE_KEY] || {};
+      this.token = tokens[this.name] || null;
+    }
+    return this.token;
+  }
+
+  saveToken(token) {
+    this.token = token;
+    const write = tokenWrites.then(async () => {
+      const data = await browserAPI.storage.local.get([TOKEN_STORAGE_KEY]);
+      const tokens = data[TOKEN_STORAGE_KEY] || {};
+      if (token) {
+        tokens[this.name] = token;
+      } else {
+        delete tokens[this.name];
+      }
+      await browserAPI.storage.local.set({ [TOKEN_STORAGE_KEY]: tokens });
+    });
+    // A failed write must not stop the ones after it
+    tokenWrites = write.catch(() => {});
+    return write;
+  }
+}
+
+// The OAuth clients of every signed-in account of one provider. Each account
+// caches its tokens under its own name.
+export class OAuthAccounts {
+  constructor(providerId, config) {
+    this.providerId = providerId;
+    this.config = config;
+    this.clients = new Map();
+  }
+
+  // The client of an account; login_hint steers a new sign-in to that account
+  client(account) {
+    if (!this.clients.has(account.id)) {
+      this.clients.set(account.id, new OAuthClient({
+        ...this.config,
+        name: `${this.providerId}:${account.id}`,
+        authParams: { ...this.config.authParams, ...(account.name && { login_hint: account.name }) }
+      }));
+    }
+    return this.clients.get(account.id);
+  }
+
+  // Let the user sign in to any account. getAccount(token) tells which one it
+  // was. Resolves to { account, token }, or null if sign-in fails.
+  async add(getAccount, extraParams = {}) {
+    const pending = new OAuthClient({ ...this.config, name: `${this.providerId}:new` });
+    const token = await pending.authorizeNew(extraParams);
+    if (!token) return null;
+
+    const account = await getAccount(token.accessToken);
+    await this.client(account).saveToken(token);
+    return { account, token: token.accessToken };
+  }
+
+  getToken(account, options) {
+    return this.client(account).getToken(options);
+  }
+
+  removeCachedToken(account, token) {
+    return this.client(account).removeCachedToken(token);
+  }
+
+  async signOut(account) {
+    await this.client(account).signOut();
+    this.clients.delete(account.id);
+  }
+}
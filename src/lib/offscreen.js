@@ -0,0 +1,28 @@
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+export const OFFSCREEN_DOCUMENT = 'offscreen/offscreen.html';
+
+let creating = null;
+
+// Open the offscreen document unless it is already open. It does what the
+// background service worker cannot: create blob URLs and start workers.
+export async function ensureOffscreenDocument() {
+  const contexts = await browserAPI.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [browserAPI.runtime.getURL(OFFSCREEN_DOCUMENT)]
+  });
+  if (contexts.length > 0) return;
+
+  // Only one offscreen document may exist, so callers share its creation
+  if (!creating) {
+    creating = browserAPI.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT,
+      reasons: ['BLOBS', 'WORKERS'],
+      justification: 'Assemble downloaded files and hash uploaded files'
+    }).finally(() => {
+      creating = null;
+    });
+  }
+  await creating;
+}
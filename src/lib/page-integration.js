@@ -0,0 +1,110 @@
+import { requestUrlAccess } from './remote-source.js';
+
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// How long an upload waits for the user to answer the access prompt
+const ACCESS_TIMEOUT = 2 * 60 * 1000; // 2 minutes
+
+// Characters that are not allowed in file names on every service
+const UNSAFE_NAME_CHARACTERS = /[\\/:*?"<>|]/g;
+
+// Context menu entries and the URL and file name each one uploads. A null
+// name lets the server's headers name the file.
+const MENU_ITEMS = [
+  {
+    id: 'save-image',
+    title: 'Save image to Drive',
+    contexts: ['image'],
+    getUrl: info => info.srcUrl,
+    getName: () => null
+  },
+  {
+    id: 'save-link',
+    title: 'Save link to Drive',
+    contexts: ['link'],
+    getUrl: info => info.linkUrl,
+    getName: () => null
+  },
+  {
+    id: 'save-page',
+    title: 'Save page to Drive',
+    contexts: ['page'],
+    getUrl: info => info.pageUrl,
+    getName: (info, tab) => tab && tab.title
+      ? `${tab.title.replace(UNSAFE_NAME_CHARACTERS, '_')}.html`
+      : null
+  }
+];
+
+// Add the "Save … to Drive" entries and call onSave(url, fileName) when one
+// is clicked and access to the site was granted. Must run when the
+// background starts so a click can wake it.
+export function setupContextMenus(onSave) {
+  browserAPI.runtime.onInstalled.addListener(() => {
+    Promise.resolve(browserAPI.contextMenus.removeAll()).then(() => {
+      MENU_ITEMS.forEach(({ id, title, contexts }) => {
+        browserAPI.contextMenus.create({ id, title, contexts });
+      });
+    });
+  });
+
+  browserAPI.contextMenus.onClicked.addListener((info, tab) => {
+    const item = MENU_ITEMS.find(menuItem => menuItem.id === info.menuItemId);
+    if (!item) return;
+
+    const url = item.getUrl(info);
+    // Asked first, while the click still counts as a user action
+    requestUrlAccess(url).then(granted => {
+      if (granted) {
+        return onSave(url, item.getName(info, tab));
+      }
+    }).catch(error => console.error('Failed to save to Drive:', error));
+  });
+}
+
+// Whether the background may read a URL, which mirroring needs since it
+// cannot ask for access outside of a click
+export function hasUrlAccess(url) {
+  return browserAPI.permissions.contains({ origins: [`${new URL(url).origin}/*`] });
+}
+
+// Resolve to true once access to the site of a URL is granted, or to false
+// if it is not granted within the timeout. Lets the background wait for a
+// page that asks for access and may be closed by the browser's prompt.
+export function waitForUrlAccess(url, timeout = ACCESS_TIMEOUT) {
+  return new Promise(resolve => {
+    let timer = null;
+    const finish = granted => {
+      clearTimeout(timer);
+      browserAPI.permissions.onAdded.removeListener(onAdded);
+      resolve(granted);
+    };
+    const onAdded = () => {
+      hasUrlAccess(url).then(granted => {
+        if (granted) finish(true);
+      });
+    };
+
+    browserAPI.permissions.onAdded.addListener(onAdded);
+    timer = setTimeout(() => finish(false), timeout);
+    hasUrlAccess(url).then(granted => {
+      if (granted) finish(true);
+    }).catch(() => finish(false));
+  });
+}
+
+// Call onDownload(url, fileName) for each download the browser starts from a
+// web URL, leaving out the ones this extension saves itself. Must run when the
+// background starts so a download can wake it.
+export function listenForDownloads(onDownload) {
+  browserAPI.downloads.onCreated.addListener(item => {
+    const url = item.finalUrl || item.url;
+    if (!/^https?:/i.test(url) || item.byExtensionId === browserAPI.runtime.id) return;
+
+    // The path is often decided later; the server's headers name it then
+    const fileName = item.filename ? item.filename.split(/[\\/]/).pop() : null;
+    Promise.resolve(onDownload(url, fileName))
+      .catch(error => console.error('Failed to mirror download:', error));
+  });
+}
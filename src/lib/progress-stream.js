@@ -0,0 +1,109 @@
+import { ThroughputSampler } from './throughput.js';
+
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+export const PROGRESS_PORT_NAME = 'transfer-progress';
+
+// Streams transfer changes to connected extension pages over runtime ports.
+// A page gets a snapshot when it connects (or asks to refresh), then one
+// message per changed or removed transfer with its throughput stats.
+export class ProgressStream {
+  constructor() {
+    this.ports = new Set();
+    this.samplers = new Map();
+    this.snapshotProvider = () => [];
+    this.ready = Promise.resolve();
+  }
+
+  // Accept connections from extension pages
+  listen() {
+    browserAPI.runtime.onConnect.addListener(port => {
+      if (port.name !== PROGRESS_PORT_NAME) return;
+
+      this.ports.add(port);
+      port.onDisconnect.addListener(() => this.ports.delete(port));
+      port.onMessage.addListener(message => {
+        if (message.type === 'refresh') {
+          this.sendSnapshot(port);
+        }
+      });
+
+      this.sendSnapshot(port);
+    });
+  }
+
+  // Send a snapshot once the transfers are loaded
+  sendSnapshot(port) {
+    this.ready.then(() => {
+      if (this.ports.has(port)) {
+        port.postMessage(this.createSnapshot());
+      }
+    });
+  }
+
+  // Set the function returning every transfer to show
+  setSnapshotProvider(provider) {
+    this.snapshotProvider = provider;
+  }
+
+  // Set a promise that resolves once the transfers are loaded, so pages that
+  // connect while the background starts do not get an empty snapshot
+  setReady(ready) {
+    this.ready = ready;
+  }
+
+  createSnapshot() {
+    const transfers = this.snapshotProvider();
+    const stats = {};
+    transfers.forEach(transfer => {
+      stats[transfer.id] = this.getStats(transfer);
+    });
+    return { type: 'snapshot', transfers, stats };
+  }
+
+  // Start measuring a transfer afresh, e.g. when it starts or resumes
+  resetProgress(id, startBytes) {
+    this.samplers.set(id, new ThroughputSampler(startBytes));
+  }
+
+  // Record the bytes a transfer has sent or received so far
+  recordProgress(id, bytes) {
+    if (!this.samplers.has(id)) {
+      this.resetProgress(id, bytes);
+      return;
+    }
+    this.samplers.get(id).record(bytes);
+  }
+
+  // Throughput stats of a transfer, or null if it is not being measured
+  getStats(transfer) {
+    const sampler = this.samplers.get(transfer.id);
+    if (!sampler) return null;
+
+    const totalBytes = transfer.type === 'batch' ? transfer.totalBytes : transfer.file.size;
+    return sampler.getStats(totalBytes);
+  }
+
+  // Send the new state of a transfer
+  publish(transfer) {
+    this.post({ type: 'update', transfer, stats: this.getStats(transfer) });
+  }
+
+  // Tell pages a transfer is gone
+  remove(id) {
+    this.samplers.delete(id);
+    this.post({ type: 'remove', id });
+  }
+
+  post(message) {
+    this.ports.forEach(port => {
+      try {
+        port.postMessage(message);
+      } catch (error) {
+        // The page closed between disconnect and this message
+        this.ports.delete(port);
+      }
+    });
+  }
+}
@@ -0,0 +1,265 @@
+import { TransferError, parseRetryAfter } from '../retry-policy.js';
+import { OAuthAccounts } from '../oauth.js';
+import { DROPBOX_CLIENT_ID } from '../oauth-config.js';
+
+const API_URL = 'https://api.dropboxapi.com/2';
+const CONTENT_URL = 'https://content.dropboxapi.com/2';
+
+// JSON for the Dropbox-API-Arg header, which must be plain ASCII
+function toHeaderJson(value) {
+  return JSON.stringify(value).replace(/[\u007f-\uffff]/g,
+    char => '\\u' + char.charCodeAt(0).toString(16).padStart(4, '0'));
+}
+
+// Dropbox addresses folders by path; the picker's "root" is the empty path
+function toPath(folderId) {
+  return !folderId || folderId === 'root' ? '' : folderId;
+}
+
+// Dropbox uploads through upload sessions. The session is the session ID;
+// the file's path is only given when the session is finished.
+export class DropboxProvider {
+  constructor() {
+    this.id = 'dropbox';
+    this.name = 'Dropbox';
+    // Chunks must be multiples of 4 MiB and at most 150 MiB
+    this.chunkLimits = { multiple: 4 * 1024 * 1024, maxSize: 148 * 1024 * 1024 };
+    this.auth = new OAuthAccounts(this.id, {
+      clientId: DROPBOX_CLIENT_ID,
+      authUrl: 'https://www.dropbox.com/oauth2/authorize',
+      tokenUrl: 'https://api.dropboxapi.com/oauth2/token',
+      scopes: [],
+      authParams: { token_access_type: 'offline' }
+    });
+  }
+
+  // Whether an account can be signed in to, which needs the app's client ID
+  canAddAccount() {
+    return !!DROPBOX_CLIENT_ID;
+  }
+
+  // Sign in to an account. Resolves to { account, token }, or null.
+  async addAccount({ interactive = true } = {}) {
+    if (!interactive) return null;
+    const result = await this.auth.add(token => this.getAccount(token), { force_reauthentication: 'true' });
+    return result && { account: { ...result.account, authMethod: 'oauth' }, token: result.token };
+  }
+
+  async getAuthToken({ account = null, interactive = true, minValidity = 0 } = {}) {
+    return account ? this.auth.getToken(account, { interactive, minValidity }) : null;
+  }
+
+  async removeCachedToken(token, account = null) {
+    if (account) {
+      await this.auth.removeCachedToken(account, token);
+    }
+  }
+
+  // Revoke the access token and forget the tokens
+  async signOut(account = null) {
+    if (!account) return;
+
+    const token = await this.auth.getToken(account, { interactive: false });
+    if (token) {
+      try {
+        await this.rpc('auth/token/revoke', null, token);
+      } catch (error) {
+        console.warn('Failed to revoke Dropbox token:', error);
+      }
+    }
+    await this.auth.signOut(account);
+  }
+
+  // The signed-in user as { id, name }
+  async getAccount(token) {
+    const account = await this.rpc('users/get_current_account', null, token);
+    return { id: account.account_id, name: account.email };
+  }
+
+  // Call an RPC endpoint and return the parsed JSON response
+  async rpc(endpoint, args, token) {
+    const response = await fetch(`${API_URL}/${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        ...(args !== null && { 'Content-Type': 'application/json' })
+      },
+      ...(args !== null && { body: JSON.stringify(args) })
+    });
+
+    if (!response.ok) {
+      throw await this.createError(response, `Dropbox request failed with status: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  // Call a content upload endpoint
+  async upload(endpoint, args, body, token, signal) {
+    return fetch(`${CONTENT_URL}/${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/octet-stream',
+        'Dropbox-API-Arg': toHeaderJson(args)
+      },
+      body,
+      signal
+    });
+  }
+
+  // Build a TransferError, keeping the error summary Dropbox sends with 409s
+  async createError(response, message) {
+    let summary = null;
+    try {
+      summary = (await response.json()).error_summary;
+    } catch (error) {
+      // Not every error response has a JSON body
+    }
+
+    const error = new TransferError(summary ? `${message} (${summary})` : message, {
+      status: response.status,
+      retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+    });
+    error.summary = summary;
+    return error;
+  }
+
+  // Start an empty upload session and return its ID
+  async initUpload(upload, token) {
+    const response = await this.upload('files/upload_session/start', { close: false }, new Blob([]), token);
+    if (!response.ok) {
+      throw await this.createError(response, `Failed to initialize upload: ${response.status}`);
+    }
+
+    const { session_id: sessionId } = await response.json();
+    return sessionId;
+  }
+
+  // Append one chunk, or finish the session with the last one
+  async uploadChunk(upload, chunk, startByte, endByte, token, signal) {
+    const cursor = { session_id: upload.sessionUri, offset: startByte };
+
+    if (endByte < upload.file.size) {
+      const response = await this.upload('files/upload_session/append_v2', { cursor }, chunk, token, signal);
+      if (!response.ok) {
+        throw await this.createError(response, `Upload failed with status: ${response.status}`);
+      }
+      return { offset: endByte };
+    }
+
+    const parentPath = toPath(upload.folderId);
+    const response = await this.upload('files/upload_session/finish', {
+      cursor,
+      commit: {
+        path: `${parentPath}/${upload.remoteName || upload.file.name}`,
+        mode: 'add',
+        autorename: true
+      }
+    }, chunk, token, signal);
+
+    if (!response.ok) {
+      throw await this.createError(response, `Upload failed with status: ${response.status}`);
+    }
+
+    const metadata = await response.json();
+    return {
+      offset: upload.file.size,
+      file: { id: metadata.id, url: `https://www.dropbox.com/home${encodeURI(parentPath)}` }
+    };
+  }
+
+  // Dropbox has no status request, so append nothing at the expected offset
+  // and read the correct one from the error if it differs
+  async queryStatus(upload, token) {
+    const response = await this.upload('files/upload_session/append_v2', {
+      cursor: { session_id: upload.sessionUri, offset: upload.uploadedBytes }
+    }, new Blob([]), token);
+
+    if (response.ok) {
+      return { state: 'incomplete', offset: upload.uploadedBytes };
+    }
+
+    if (response.status === 409) {
+      const data = await response.json();
+      const reason = data.error && data.error['.tag'];
+      if (reason === 'incorrect_offset') {
+        return { state: 'incomplete', offset: data.error.correct_offset };
+      }
+      if (reason === 'not_found' || reason === 'closed') {
+        return { state: 'expired', offset: 0 };
+      }
+    }
+
+    throw new TransferError(`Failed to query upload status: ${response.status}`, {
+      status: response.status
+    });
+  }
+
+  // Unfinished sessions expire on their own after a week
+  async cancelUpload() {}
+
+  // List the folders inside a parent folder, or search all folders by name.
+  // Both come in pages, which are followed to the end.
+  async listFolders(token, { parentId = 'root', query = '' } = {}) {
+    const entries = [];
+    if (query) {
+      let data = await this.rpc('files/search_v2', {
+        query,
+        options: { file_categories: ['folder'], max_results: 200 }
+      }, token);
+      entries.push(...data.matches.map(match => match.metadata.metadata));
+      while (data.has_more) {
+        data = await this.rpc('files/search/continue_v2', { cursor: data.cursor }, token);
+        entries.push(...data.matches.map(match => match.metadata.metadata));
+      }
+    } else {
+      let data = await this.rpc('files/list_folder', { path: toPath(parentId), limit: 2000 }, token);
+      entries.push(...data.entries);
+      while (data.has_more) {
+        data = await this.rpc('files/list_folder/continue', { cursor: data.cursor }, token);
+        entries.push(...data.entries);
+      }
+    }
+
+    return entries
+      .filter(entry => entry['.tag'] === 'folder')
+      .map(entry => ({ id: entry.path_display, name: entry.name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Find a folder by exact name inside a parent folder, or null if there is none
+  async findFolder(token, name, parentId = 'root') {
+    try {
+      const entry = await this.rpc('files/get_metadata', { path: `${toPath(parentId)}/${name}` }, token);
+      return entry['.tag'] === 'folder' ? { id: entry.path_display, name: entry.name } : null;
+    } catch (error) {
+      if (error.status === 409 && error.summary && error.summary.startsWith('path/not_found')) return null;
+      throw error;
+    }
+  }
+
+  // Create a folder and return its ID (path) and name
+  async createFolder(token, name, parentId = 'root') {
+    const { metadata } = await this.rpc('files/create_folder_v2', {
+      path: `${toPath(parentId)}/${name}`,
+      autorename: true
+    }, token);
+    return { id: metadata.path_display, name: metadata.name };
+  }
+
+  // Get the chain of folders from the Dropbox root down to a folder
+  async getFolderPath(token, folderId) {
+    const path = [];
+    let current = '';
+    toPath(folderId).split('/').filter(Boolean).forEach(name => {
+      current = `${current}/${name}`;
+      path.push({ id: current, name });
+    });
+    return path;
+  }
+
+  getFolderUrl(folderId) {
+    return `https://www.dropbox.com/home${encodeURI(toPath(folderId))}`;
+  }
+}
@@ -0,0 +1,326 @@
+import { TransferError, parseRetryAfter } from '../retry-policy.js';
+import { listFolders, findFolder, findFiles, createFolder, getFolderPath } from '../drive-folders.js';
+import { OAuthAccounts } from '../oauth.js';
+import { encryptionProperties } from '../encryption.js';
+import { GOOGLE_WEB_CLIENT_ID, GOOGLE_WEB_CLIENT_SECRET } from '../oauth-config.js';
+
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// Same scopes as the oauth2 section of the manifest. Uploads go to any folder
+// the user picks and may replace any existing file, which drive.file does not
+// allow for files the extension did not create.
+const DRIVE_SCOPES = [
+  'https://www.googleapis.com/auth/drive'
+];
+
+const REVOKE_URL = 'https://oauth2.googleapis.com/revoke';
+const UPLOAD_FILES_URL = 'https://www.googleapis.com/upload/drive/v3/files';
+const ABOUT_URL = 'https://www.googleapis.com/drive/v3/about?fields=user';
+const FILES_URL = 'https://www.googleapis.com/drive/v3/files';
+
+// Read the next byte to send from the Range header of a 308 response
+function parseCommittedOffset(response) {
+  const range = response.headers.get('Range');
+  const match = range && range.match(/bytes=0-(\d+)/);
+  return match ? parseInt(match[1], 10) + 1 : 0;
+}
+
+// Google Drive resumable uploads. The session is the upload URI Drive returns.
+export class GoogleDriveProvider {
+  constructor() {
+    this.id = 'google-drive';
+    this.name = 'Google Drive';
+    // Every chunk except the last must be a multiple of 256 KiB
+    this.chunkLimits = { multiple: 256 * 1024, maxSize: Infinity };
+    // Uploads can set a description, star, properties and conversion
+    this.supportsFileDetails = true;
+    // Chromium signs in to the browser's Google account itself; other
+    // accounts and browsers use the web flow
+    this.usesIdentityTokens = typeof browserAPI.identity.getAuthToken === 'function';
+    this.webAuth = new OAuthAccounts(this.id, {
+      clientId: GOOGLE_WEB_CLIENT_ID,
+      clientSecret: GOOGLE_WEB_CLIENT_SECRET,
+      authUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+      tokenUrl: 'https://oauth2.googleapis.com/token',
+      revokeUrl: REVOKE_URL,
+      scopes: DRIVE_SCOPES,
+      // Ask for a refresh token on every sign-in
+      authParams: { access_type: 'offline', prompt: 'consent' }
+    });
+  }
+
+  // Whether an account signs in through the browser's Google account
+  usesIdentity(account) {
+    return this.usesIdentityTokens && (!account || account.authMethod === 'identity');
+  }
+
+  // Whether another account can be signed in to: the browser's own account
+  // needs nothing more, others need the web client
+  canAddAccount(useBrowserAccount = true) {
+    return (this.usesIdentityTokens && useBrowserAccount) || !!(GOOGLE_WEB_CLIENT_ID && GOOGLE_WEB_CLIENT_SECRET);
+  }
+
+  // Sign in to an account. The browser's own account is used first, if the
+  // browser has one; any further account goes through the web flow. Resolves
+  // to { account, token }, or null if sign-in fails.
+  async addAccount({ interactive = true, useBrowserAccount = true } = {}) {
+    if (this.usesIdentityTokens && useBrowserAccount) {
+      const token = await this.getIdentityToken(interactive);
+      if (!token) return null;
+      const account = await this.getAccount(token);
+      return { account: { ...account, authMethod: 'identity' }, token };
+    }
+
+    if (!interactive) return null;
+    const result = await this.webAuth.add(token => this.getAccount(token), { prompt: 'select_account consent' });
+    return result && { account: { ...result.account, authMethod: 'oauth' }, token: result.token };
+  }
+
+  // Get a token of an account valid for at least minValidity ms. The
+  // browser's Google sign-in renews its cached tokens by itself.
+  async getAuthToken({ account = null, interactive = true, minValidity = 0 } = {}) {
+    if (this.usesIdentity(account)) {
+      return this.getIdentityToken(interactive);
+    }
+    return account ? this.webAuth.getToken(account, { interactive, minValidity }) : null;
+  }
+
+  getIdentityToken(interactive) {
+    return new Promise((resolve) => {
+      browserAPI.identity.getAuthToken({ interactive }, (token) => {
+        if (browserAPI.runtime.lastError) {
+          console.error('Auth error:', browserAPI.runtime.lastError);
+          resolve(null);
+        } else {
+          resolve(token || null);
+        }
+      });
+    });
+  }
+
+  // Drop a token Drive rejected from the token cache
+  async removeCachedToken(token, account = null) {
+    if (!this.usesIdentity(account)) {
+      return account && this.webAuth.removeCachedToken(account, token);
+    }
+
+    await new Promise(resolve => {
+      browserAPI.identity.removeCachedAuthToken({ token }, resolve);
+    });
+  }
+
+  // Revoke the extension's access to an account and forget its tokens
+  async signOut(account = null) {
+    if (!this.usesIdentity(account)) {
+      return account && this.webAuth.signOut(account);
+    }
+
+    const token = await this.getIdentityToken(false);
+    if (!token) return;
+
+    try {
+      await fetch(REVOKE_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ token })
+      });
+    } catch (error) {
+      console.warn('Failed to revoke Google token:', error);
+    }
+    await this.removeCachedToken(token);
+  }
+
+  // The signed-in user as { id, name }
+  async getAccount(token) {
+    const response = await fetch(ABOUT_URL, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+      throw new TransferError(`Failed to get account: ${response.status}`, { status: response.status });
+    }
+
+    const { user } = await response.json();
+    return { id: user.permissionId, name: user.emailAddress || user.displayName };
+  }
+
+  // Start a resumable upload session and return its URI. An upload that
+  // replaces a file updates it, which keeps the old content as a revision.
+  // Encrypted files are marked in their appProperties; replacing a file
+  // also clears or sets the marks of the old content. The description, star
+  // and properties set by the user are applied either way, but only a new
+  // file can be converted to a Google Docs format.
+  async initUpload(upload, token) {
+    const replacing = !!upload.replaceFileId;
+    const details = this.getFileDetails(upload);
+    const metadata = replacing
+      ? { mimeType: upload.file.type, ...details }
+      : {
+          name: upload.remoteName || upload.file.name,
+          // Drive converts the content when the file gets a Google Docs type
+          mimeType: (upload.metadata && upload.metadata.convertTo) || upload.file.type,
+          ...(upload.folderId && { parents: [upload.folderId] }),
+          ...details
+        };
+    const url = replacing
+      ? `${UPLOAD_FILES_URL}/${encodeURIComponent(upload.replaceFileId)}?uploadType=resumable`
+      : `${UPLOAD_FILES_URL}?uploadType=resumable`;
+
+    const response = await fetch(url, {
+      method: replacing ? 'PATCH' : 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json; charset=UTF-8',
+        'X-Upload-Content-Type': upload.file.type,
+        'X-Upload-Content-Length': upload.file.size.toString()
+      },
+      body: JSON.stringify(metadata)
+    });
+
+    if (!response.ok) {
+      throw new TransferError(`Failed to initialize upload: ${response.statusText}`, {
+        status: response.status
+      });
+    }
+
+    return response.headers.get('Location');
+  }
+
+  // Description, star and appProperties of an uploaded file. Records from
+  // before metadata could be set have none.
+  getFileDetails(upload) {
+    const metadata = upload.metadata || {};
+    const properties = {
+      ...metadata.properties,
+      ...(upload.encryption || upload.replaceFileId ? encryptionProperties(upload.encryption) : {})
+    };
+
+    return {
+      ...(metadata.description && { description: metadata.description }),
+      ...(metadata.starred && { starred: true }),
+      ...(Object.keys(properties).length > 0 && { appProperties: properties })
+    };
+  }
+
+  // Send one chunk. Returns the committed offset, plus the uploaded file once
+  // the last chunk is in.
+  async uploadChunk(upload, chunk, startByte, endByte, token, signal) {
+    const response = await fetch(upload.sessionUri, {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Range': `bytes ${startByte}-${endByte - 1}/${upload.file.size}`,
+        'Content-Type': 'application/octet-stream'
+      },
+      body: chunk,
+      signal
+    });
+
+    if (response.status === 308) {
+      // Incomplete upload, continue with next chunk
+      return { offset: parseCommittedOffset(response) };
+    } else if (response.status === 200 || response.status === 201) {
+      return { offset: upload.file.size, file: await this.readUploadedFile(response) };
+    } else {
+      throw new TransferError(`Upload failed with status: ${response.status}`, {
+        status: response.status,
+        retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+      });
+    }
+  }
+
+  // Ask how far a session got. state is 'incomplete', 'completed' or 'expired'.
+  async queryStatus(upload, token) {
+    const response = await fetch(upload.sessionUri, {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Range': `bytes */${upload.file.size}`
+      }
+    });
+
+    if (response.status === 308) {
+      return { state: 'incomplete', offset: parseCommittedOffset(response) };
+    } else if (response.status === 200 || response.status === 201) {
+      return { state: 'completed', offset: upload.file.size, file: await this.readUploadedFile(response) };
+    } else if (response.status === 404 || response.status === 410) {
+      return { state: 'expired', offset: 0 };
+    } else {
+      throw new TransferError(`Failed to query upload status: ${response.status}`, {
+        status: response.status
+      });
+    }
+  }
+
+  // Delete a resumable session
+  async cancelUpload(upload, token) {
+    await fetch(upload.sessionUri, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+  }
+
+  // Size and checksums Drive computed for an uploaded file
+  async getChecksums(token, fileId) {
+    const response = await fetch(`${FILES_URL}/${fileId}?fields=size,md5Checksum,sha256Checksum`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) {
+      throw new TransferError(`Failed to get file checksums: ${response.status}`, { status: response.status });
+    }
+
+    const data = await response.json();
+    return {
+      size: data.size !== undefined ? Number(data.size) : null,
+      md5: data.md5Checksum || null,
+      sha256: data.sha256Checksum || null
+    };
+  }
+
+  async readUploadedFile(response) {
+    try {
+      const { id } = await response.json();
+      return { id, url: this.getFileUrl(id) };
+    } catch (error) {
+      console.warn('Failed to read uploaded file metadata:', error);
+      return null;
+    }
+  }
+
+  listFolders(token, options) {
+    return listFolders(token, options);
+  }
+
+  findFolder(token, name, parentId) {
+    return findFolder(token, name, parentId);
+  }
+
+  // Files with the given name in a folder, as
+  // { id, name, size, md5, editable, url }
+  async findFiles(token, name, parentId) {
+    const files = await findFiles(token, name, parentId);
+    return files.map(file => ({ ...file, url: this.getFileUrl(file.id) }));
+  }
+
+  createFolder(token, name, parentId) {
+    return createFolder(token, name, parentId);
+  }
+
+  getFolderPath(token, folderId) {
+    return getFolderPath(token, folderId);
+  }
+
+  getFileUrl(fileId) {
+    return `https://drive.google.com/file/d/${fileId}/view`;
+  }
+
+  getFolderUrl(folderId) {
+    return folderId && folderId !== 'root'
+      ? `https://drive.google.com/drive/folders/${folderId}`
+      : 'https://drive.google.com/drive/my-drive';
+  }
+}
@@ -0,0 +1,53 @@
+import { GoogleDriveProvider } from './google-drive.js';
+import { OneDriveProvider } from './onedrive.js';
+import { DropboxProvider } from './dropbox.js';
+
+// Every storage provider implements the same interface:
+//   id, name, chunkLimits { multiple, maxSize }
+//   canAddAccount(useBrowserAccount), whether sign-in is set up in this build
+//   addAccount({ interactive, useBrowserAccount }) -> { account, token }
+//   getAuthToken({ account, interactive, minValidity }),
+//   removeCachedToken(token, account), signOut(account), getAccount(token)
+//   initUpload(upload, token) -> session stored as upload.sessionUri
+//   supportsFileDetails, optional; providers with it apply the description,
+//     star, properties and conversion in upload.metadata
+//   uploadChunk(upload, chunk, startByte, endByte, token, signal) -> { offset, file? }
+//   queryStatus(upload, token) -> { state, offset, file? }
+//   cancelUpload(upload, token)
+//   getChecksums(token, fileId) -> { size, md5, sha256 }, optional
+//   findFiles(token, name, folderId) -> [{ id, name, size, md5, editable, url }],
+//     optional; providers without it skip duplicate checks. Only editable
+//     files can be replaced.
+//   listFolders, findFolder, createFolder, getFolderPath, getFolderUrl
+// Requests that fail throw a TransferError carrying the HTTP status, so the
+// retry policy treats every provider alike.
+
+export const DEFAULT_PROVIDER_ID = 'google-drive';
+
+const PROVIDERS = new Map(
+  [new GoogleDriveProvider(), new OneDriveProvider(), new DropboxProvider()]
+    .map(provider => [provider.id, provider])
+);
+
+// Get a provider by ID; records from before providers existed use Drive
+export function getProvider(providerId) {
+  const provider = PROVIDERS.get(providerId || DEFAULT_PROVIDER_ID);
+  if (!provider) {
+    throw new Error(`Unknown storage provider: ${providerId}`);
+  }
+  return provider;
+}
+
+export function isProviderId(value) {
+  return PROVIDERS.has(value);
+}
+
+// Providers this build can sign in to, which are the ones offered for new
+// uploads. Records of others still find their provider with getProvider.
+export function listAvailableProviders() {
+  return Array.from(PROVIDERS.values()).filter(provider => provider.canAddAccount());
+}
+
+export function isAvailableProvider(value) {
+  return isProviderId(value) && getProvider(value).canAddAccount();
+}
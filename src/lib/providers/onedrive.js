@@ -0,0 +1,220 @@
+import { TransferError, parseRetryAfter } from '../retry-policy.js';
+import { OAuthAccounts } from '../oauth.js';
+import { ONEDRIVE_CLIENT_ID } from '../oauth-config.js';
+
+const GRAPH_URL = 'https://graph.microsoft.com/v1.0/me/drive';
+
+// Parse the first "start-" entry of nextExpectedRanges
+function parseNextExpectedOffset(data) {
+  const ranges = data.nextExpectedRanges || [];
+  return ranges.length > 0 ? parseInt(ranges[0].split('-')[0], 10) : 0;
+}
+
+// Escape a value for use inside a quoted Graph function argument
+function escapeQuery(value) {
+  return value.replace(/'/g, "''");
+}
+
+// OneDrive uploads through Microsoft Graph upload sessions. The session is
+// the pre-authenticated upload URL Graph returns.
+export class OneDriveProvider {
+  constructor() {
+    this.id = 'onedrive';
+    this.name = 'OneDrive';
+    // Chunks must be multiples of 320 KiB and at most 60 MiB
+    this.chunkLimits = { multiple: 320 * 1024, maxSize: 60 * 1024 * 1024 };
+    this.auth = new OAuthAccounts(this.id, {
+      clientId: ONEDRIVE_CLIENT_ID,
+      authUrl: 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize',
+      tokenUrl: 'https://login.microsoftonline.com/common/oauth2/v2.0/token',
+      scopes: ['Files.ReadWrite', 'User.Read', 'offline_access']
+    });
+  }
+
+  // Whether an account can be signed in to, which needs the app's client ID
+  canAddAccount() {
+    return !!ONEDRIVE_CLIENT_ID;
+  }
+
+  // Sign in to an account. Resolves to { account, token }, or null.
+  async addAccount({ interactive = true } = {}) {
+    if (!interactive) return null;
+    const result = await this.auth.add(token => this.getAccount(token), { prompt: 'select_account' });
+    return result && { account: { ...result.account, authMethod: 'oauth' }, token: result.token };
+  }
+
+  async getAuthToken({ account = null, interactive = true, minValidity = 0 } = {}) {
+    return account ? this.auth.getToken(account, { interactive, minValidity }) : null;
+  }
+
+  async removeCachedToken(token, account = null) {
+    if (account) {
+      await this.auth.removeCachedToken(account, token);
+    }
+  }
+
+  // Microsoft has no token revocation endpoint, so only forget the tokens
+  async signOut(account = null) {
+    if (account) {
+      await this.auth.signOut(account);
+    }
+  }
+
+  // The signed-in user as { id, name }
+  async getAccount(token) {
+    const user = await this.request('https://graph.microsoft.com/v1.0/me?$select=id,userPrincipalName', token);
+    return { id: user.id, name: user.userPrincipalName };
+  }
+
+  // Call the Graph API and return the parsed JSON response
+  async request(url, token, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        ...options.headers
+      }
+    });
+
+    if (!response.ok) {
+      throw new TransferError(`OneDrive request failed with status: ${response.status}`, {
+        status: response.status
+      });
+    }
+
+    return response.json();
+  }
+
+  // Start an upload session and return its upload URL
+  async initUpload(upload, token) {
+    const parentId = upload.folderId || 'root';
+    const url = `${GRAPH_URL}/items/${encodeURIComponent(parentId)}:/${encodeURIComponent(upload.remoteName || upload.file.name)}:/createUploadSession`;
+
+    const session = await this.request(url, token, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        item: { '@microsoft.graph.conflictBehavior': 'rename' }
+      })
+    });
+
+    return session.uploadUrl;
+  }
+
+  // Send one chunk. The upload URL carries its own credentials, so no token
+  // is sent with it.
+  async uploadChunk(upload, chunk, startByte, endByte, token, signal) {
+    const response = await fetch(upload.sessionUri, {
+      method: 'PUT',
+      headers: {
+        'Content-Range': `bytes ${startByte}-${endByte - 1}/${upload.file.size}`
+      },
+      body: chunk,
+      signal
+    });
+
+    if (response.status === 202) {
+      return { offset: parseNextExpectedOffset(await response.json()) };
+    } else if (response.status === 200 || response.status === 201) {
+      const item = await response.json();
+      return { offset: upload.file.size, file: { id: item.id, url: item.webUrl } };
+    } else {
+      throw new TransferError(`Upload failed with status: ${response.status}`, {
+        status: response.status,
+        retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+      });
+    }
+  }
+
+  // Ask how far a session got. state is 'incomplete', 'completed' or 'expired'.
+  async queryStatus(upload, token) {
+    const response = await fetch(upload.sessionUri);
+
+    if (response.status === 404) {
+      return { state: 'expired', offset: 0 };
+    } else if (!response.ok) {
+      throw new TransferError(`Failed to query upload status: ${response.status}`, {
+        status: response.status
+      });
+    }
+
+    const offset = parseNextExpectedOffset(await response.json());
+    return { state: 'incomplete', offset };
+  }
+
+  // Delete an upload session
+  async cancelUpload(upload, token) {
+    await fetch(upload.sessionUri, { method: 'DELETE' });
+  }
+
+  // List the folders inside a parent folder, or search all folders by name
+  async listFolders(token, { parentId = 'root', query = '' } = {}) {
+    let url = query
+      ? `${GRAPH_URL}/root/search(q='${encodeURIComponent(escapeQuery(query))}')?$select=id,name,folder&$top=200`
+      : `${GRAPH_URL}/items/${encodeURIComponent(parentId)}/children?$select=id,name,folder&$top=200`;
+
+    // Each page links to the next until the last one
+    const items = [];
+    while (url) {
+      const data = await this.request(url, token);
+      items.push(...data.value);
+      url = data['@odata.nextLink'] || null;
+    }
+
+    return items
+      .filter(item => item.folder)
+      .map(item => ({ id: item.id, name: item.name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Find a folder by exact name inside a parent folder, or null if there is none
+  async findFolder(token, name, parentId = 'root') {
+    const url = `${GRAPH_URL}/items/${encodeURIComponent(parentId)}:/${encodeURIComponent(name)}?$select=id,name,folder`;
+    try {
+      const item = await this.request(url, token);
+      return item.folder ? { id: item.id, name: item.name } : null;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  // Create a folder and return its ID and name
+  async createFolder(token, name, parentId = 'root') {
+    const item = await this.request(`${GRAPH_URL}/items/${encodeURIComponent(parentId)}/children`, token, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name,
+        folder: {},
+        '@microsoft.graph.conflictBehavior': 'rename'
+      })
+    });
+    return { id: item.id, name: item.name };
+  }
+
+  // Get the chain of folders from the drive root down to a folder
+  async getFolderPath(token, folderId) {
+    const path = [];
+    let currentId = folderId;
+
+    // Guard against unexpectedly deep hierarchies
+    for (let depth = 0; currentId && depth < 32; depth++) {
+      const item = await this.request(
+        `${GRAPH_URL}/items/${encodeURIComponent(currentId)}?$select=id,name,root,parentReference`,
+        token
+      );
+      if (item.root || !item.parentReference) break;
+
+      path.unshift({ id: item.id, name: item.name });
+      currentId = item.parentReference.id;
+    }
+
+    return path;
+  }
+
+  // Item IDs do not map to web URLs, so open the drive itself
+  getFolderUrl() {
+    return 'https://onedrive.live.com/';
+  }
+}
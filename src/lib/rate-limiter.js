@@ -0,0 +1,110 @@
+import { sleep } from './retry-policy.js';
+
+const KILOBYTE = 1024;
+
+// Token bucket measured in bytes. A rate of 0 means unlimited.
+// Chunks are sent as a whole, so callers may overdraw the bucket; the debt is
+// paid back by waiting before the next send, which keeps the average rate.
+class TokenBucket {
+  constructor(rate = 0) {
+    this.rate = rate;
+    this.tokens = rate;
+    this.updatedAt = Date.now();
+  }
+
+  // Change the rate, keeping at most one second worth of burst
+  setRate(rate) {
+    if (rate === this.rate) return;
+    this.refill();
+    this.rate = rate;
+    this.tokens = Math.min(this.tokens, rate);
+  }
+
+  // Add the tokens earned since the last update
+  refill() {
+    const now = Date.now();
+    if (this.rate > 0) {
+      const earned = ((now - this.updatedAt) / 1000) * this.rate;
+      this.tokens = Math.min(this.rate, this.tokens + earned);
+    }
+    this.updatedAt = now;
+  }
+
+  // Spend bytes and return how many milliseconds to wait before sending them
+  reserve(bytes) {
+    if (this.rate <= 0) return 0;
+
+    this.refill();
+    this.tokens -= bytes;
+    return this.tokens >= 0 ? 0 : Math.ceil((-this.tokens / this.rate) * 1000);
+  }
+}
+
+// Whether an hour falls in a window of whole hours. Windows where start > end
+// wrap around midnight, and ones where they are equal cover the whole day.
+export function inHourWindow({ startHour, endHour }, hour) {
+  if (startHour === endHour) return true;
+  return startHour < endHour
+    ? hour >= startHour && hour < endHour
+    : hour >= startHour || hour < endHour;
+}
+
+// Resolve the limits (in bytes/s) that apply at the given time. The first
+// schedule rule whose hour window contains the time overrides the global limit.
+export function resolveBandwidthLimit(settings = {}, date = new Date()) {
+  const hour = date.getHours();
+  const rule = (settings.bandwidthSchedule || []).find(window => inHourWindow(window, hour));
+
+  const globalLimit = rule ? rule.limit : settings.globalBandwidthLimit;
+
+  return {
+    globalRate: (globalLimit || 0) * KILOBYTE,
+    perUploadRate: (settings.perUploadBandwidthLimit || 0) * KILOBYTE,
+    scheduled: !!rule
+  };
+}
+
+// Throttles upload throughput across all uploads, with an optional cap per upload
+export class RateLimiter {
+  constructor() {
+    this.settings = {};
+    this.globalBucket = new TokenBucket();
+    this.uploadBuckets = new Map();
+  }
+
+  // Replace the bandwidth settings (global limit, per-upload limit, schedule)
+  configure(settings) {
+    this.settings = settings || {};
+  }
+
+  // Limits in effect right now
+  getEffectiveLimit() {
+    return resolveBandwidthLimit(this.settings);
+  }
+
+  // Wait until an upload may send the given number of bytes
+  async acquire(uploadId, bytes, signal) {
+    const { globalRate, perUploadRate } = this.getEffectiveLimit();
+
+    this.globalBucket.setRate(globalRate);
+    let delay = this.globalBucket.reserve(bytes);
+
+    if (perUploadRate > 0) {
+      if (!this.uploadBuckets.has(uploadId)) {
+        this.uploadBuckets.set(uploadId, new TokenBucket(perUploadRate));
+      }
+      const bucket = this.uploadBuckets.get(uploadId);
+      bucket.setRate(perUploadRate);
+      delay = Math.max(delay, bucket.reserve(bytes));
+    }
+
+    if (delay > 0) {
+      await sleep(delay, signal);
+    }
+  }
+
+  // Forget the per-upload bucket of a finished upload
+  release(uploadId) {
+    this.uploadBuckets.delete(uploadId);
+  }
+}
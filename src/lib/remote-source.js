@@ -0,0 +1,199 @@
+import { TransferError, parseRetryAfter } from './retry-policy.js';
+
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// Reads a file on a web server by byte ranges, so an upload from a URL can
+// resume where it stopped instead of fetching the file again from the start.
+
+const DEFAULT_TYPE = 'application/octet-stream';
+// Largest file fetched whole from a server without byte ranges. It is held in
+// memory until stored, so bigger files are refused.
+const MAX_FETCH_SIZE = 256 * 1024 * 1024; // 256MB
+
+function tooLargeError(url) {
+  return new Error(`${url} is larger than ${MAX_FETCH_SIZE / (1024 * 1024)} MB and the server does not serve byte ranges, so it cannot be uploaded`);
+}
+
+// The validator If-Range can use to detect that the file changed. If-Range
+// only accepts a strong ETag, so a weak one falls back to Last-Modified.
+function getValidator(response) {
+  const etag = response.headers.get('ETag');
+  if (etag && !etag.startsWith('W/')) {
+    return etag;
+  }
+  return response.headers.get('Last-Modified');
+}
+
+// Turn a failed response into an error the retry policy understands. Only
+// server-side hiccups are retried; the source's own auth errors are not
+// Drive's, so they must not trigger a token refresh.
+function responseError(response, url) {
+  const message = `Failed to read ${url}: ${response.status} ${response.statusText}`;
+  if (response.status === 408 || response.status === 429 || response.status >= 500) {
+    return new TransferError(message, {
+      status: response.status,
+      retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+    });
+  }
+  return new Error(message);
+}
+
+// The file name from a Content-Disposition header, or the last part of the URL
+function getFileName(response, url) {
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const encoded = disposition.match(/filename\*\s*=\s*[^']*'[^']*'([^;]+)/i);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim());
+    } catch (error) {
+      // Fall through to the plain filename
+    }
+  }
+
+  const plain = disposition.match(/filename\s*=\s*("([^"]*)"|[^;]+)/i);
+  if (plain) {
+    return (plain[2] !== undefined ? plain[2] : plain[1]).trim();
+  }
+
+  const segment = new URL(url).pathname.split('/').filter(Boolean).pop();
+  if (segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      return segment;
+    }
+  }
+  return new URL(url).hostname;
+}
+
+// Ask for access to the site of a URL, which range requests need to get past
+// CORS. Browsers only allow this while handling a click.
+export function requestUrlAccess(url) {
+  return browserAPI.permissions.request({ origins: [`${new URL(url).origin}/*`] });
+}
+
+// Ask the server for the first byte of a file to learn its name, size and
+// type. Resolves with { file, source }, the file metadata and source of an
+// upload record. source is null if the server does not serve byte ranges.
+export async function probeUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error(`Only http and https URLs can be uploaded: ${url}`);
+  }
+
+  // Cookies are sent so files behind a login can be read too
+  const response = await fetch(url, { headers: { 'Range': 'bytes=0-0' }, credentials: 'include' });
+  if (!response.ok) {
+    throw responseError(response, url);
+  }
+  // Only the headers are needed
+  if (response.body) {
+    response.body.cancel().catch(() => {});
+  }
+
+  const contentRange = response.headers.get('Content-Range') || '';
+  const total = contentRange.match(/\/(\d+)$/);
+  const ranges = response.status === 206 && total;
+
+  const type = (response.headers.get('Content-Type') || '').split(';')[0].trim();
+  return {
+    file: {
+      name: getFileName(response, response.url || url),
+      size: ranges ? parseInt(total[1], 10) : null,
+      type: type || DEFAULT_TYPE,
+      lastModified: Date.parse(response.headers.get('Last-Modified')) || null
+    },
+    source: ranges
+      ? {
+          url: response.url || url,
+          // Lets later range requests detect that the file has changed
+          validator: getValidator(response)
+        }
+      : null
+  };
+}
+
+// Fetch a whole file from a server that does not serve byte ranges, up to
+// MAX_FETCH_SIZE
+export async function fetchFile(url, name) {
+  const response = await fetch(url, { credentials: 'include' });
+  if (!response.ok) {
+    throw responseError(response, url);
+  }
+
+  const length = parseInt(response.headers.get('Content-Length'), 10);
+  if (length > MAX_FETCH_SIZE) {
+    if (response.body) {
+      response.body.cancel().catch(() => {});
+    }
+    throw tooLargeError(url);
+  }
+
+  // The length may be missing or wrong, so the bytes are counted as they come
+  const chunks = [];
+  if (response.body) {
+    const reader = response.body.getReader();
+    let size = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      size += value.length;
+      if (size > MAX_FETCH_SIZE) {
+        reader.cancel().catch(() => {});
+        throw tooLargeError(url);
+      }
+      chunks.push(value);
+    }
+  }
+
+  const type = (response.headers.get('Content-Type') || '').split(';')[0].trim();
+  return new File(chunks, name, {
+    type: type || DEFAULT_TYPE,
+    lastModified: Date.parse(response.headers.get('Last-Modified')) || Date.now()
+  });
+}
+
+// Reads byte ranges of a probed file
+export class RemoteSource {
+  constructor({ url, validator = null }) {
+    this.url = url;
+    this.validator = validator;
+  }
+
+  // Read bytes from start up to, but not including, end
+  async read(start, end, signal) {
+    const headers = { 'Range': `bytes=${start}-${end - 1}` };
+    if (this.validator) {
+      headers['If-Range'] = this.validator;
+    }
+
+    const response = await fetch(this.url, { headers, signal, credentials: 'include' });
+    if (response.status === 200) {
+      // If-Range answers with the whole file when it no longer matches
+      if (response.body) {
+        response.body.cancel().catch(() => {});
+      }
+      throw new Error(this.validator
+        ? 'The file changed on the server since the upload started'
+        : 'The server no longer serves byte ranges of this file');
+    }
+    if (!response.ok) {
+      throw responseError(response, this.url);
+    }
+
+    const blob = await response.blob();
+    if (blob.size !== end - start) {
+      // Retried like a dropped connection
+      throw new TypeError(`Expected ${end - start} bytes from the server but got ${blob.size}`);
+    }
+    return blob;
+  }
+}
+
+// Read a byte range of an upload's source: a stored File, or a source with a
+// read method such as a RemoteSource
+export async function readRange(file, start, end, signal) {
+  return file instanceof Blob ? file.slice(start, end) : file.read(start, end, signal);
+}
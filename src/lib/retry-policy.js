@@ -0,0 +1,117 @@
+// Error raised for a failed HTTP request, carrying what the retry logic needs
+export class TransferError extends Error {
+  constructor(message, { status = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'TransferError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Error raised when no auth token can be obtained without the user signing in
+export class AuthRequiredError extends Error {
+  constructor(message = 'Authentication required') {
+    super(message);
+    this.name = 'AuthRequiredError';
+  }
+}
+
+export const ErrorKind = {
+  RETRYABLE: 'retryable',
+  AUTH: 'auth',
+  FATAL: 'fatal',
+  ABORTED: 'aborted'
+};
+
+export const DEFAULT_RETRY_SETTINGS = {
+  maxAttempts: 8,
+  baseDelay: 1000, // 1 second
+  maxDelay: 60 * 1000 // 1 minute
+};
+
+// Decide how a failed request should be handled
+export function classifyError(error) {
+  if (error.name === 'AbortError') {
+    return ErrorKind.ABORTED;
+  }
+
+  if (error instanceof TransferError && error.status) {
+    if (error.status === 401) return ErrorKind.AUTH;
+    if (error.status === 408 || error.status === 429 || error.status >= 500) {
+      return ErrorKind.RETRYABLE;
+    }
+    return ErrorKind.FATAL;
+  }
+
+  // fetch() rejects with a TypeError when the network fails
+  if (error instanceof TypeError) {
+    return ErrorKind.RETRYABLE;
+  }
+
+  return ErrorKind.FATAL;
+}
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+export function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Wait for a delay, rejecting early with an AbortError if the signal fires
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+
+    // A long-lived signal would otherwise collect one listener per wait
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+// Exponential backoff with full jitter and a max-attempts budget
+export class RetryPolicy {
+  constructor({
+    maxAttempts = DEFAULT_RETRY_SETTINGS.maxAttempts,
+    baseDelay = DEFAULT_RETRY_SETTINGS.baseDelay,
+    maxDelay = DEFAULT_RETRY_SETTINGS.maxDelay
+  } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+  }
+
+  // Whether another attempt fits in the budget after `attempt` failures
+  canRetry(attempt) {
+    return attempt < this.maxAttempts;
+  }
+
+  // Delay before retrying after the given failed attempt (1-based)
+  getDelay(attempt, error) {
+    // The server knows best when it will accept requests again
+    if (error && error.retryAfter !== null && error.retryAfter !== undefined) {
+      return error.retryAfter;
+    }
+
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+    return Math.round(Math.random() * ceiling);
+  }
+}
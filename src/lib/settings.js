@@ -0,0 +1,146 @@
+import { DEFAULT_CHUNK_SIZE, normalizeChunkSize } from './chunk-size.js';
+import { DEFAULT_RETRY_SETTINGS } from './retry-policy.js';
+import { DEFAULT_MAX_CONCURRENT_UPLOADS } from './upload-queue.js';
+import { DEFAULT_PROVIDER_ID, isAvailableProvider } from './providers/index.js';
+import { DEFAULT_CONFLICT_POLICY, isConflictPolicy } from './conflicts.js';
+import { EncryptionKeyType, isEncryptionKeyType } from './encryption.js';
+import { DEFAULT_NAMING_TEMPLATE, isNamingTemplate } from './upload-metadata.js';
+
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+export const DEFAULT_SETTINGS = {
+  defaultProviderId: DEFAULT_PROVIDER_ID,
+  defaultFolderId: null,
+  chunkSize: DEFAULT_CHUNK_SIZE,
+  adaptiveChunkSize: true,
+  maxConcurrentUploads: DEFAULT_MAX_CONCURRENT_UPLOADS,
+  conflictPolicy: DEFAULT_CONFLICT_POLICY,
+  maxRetryAttempts: DEFAULT_RETRY_SETTINGS.maxAttempts,
+  retryBaseDelay: DEFAULT_RETRY_SETTINGS.baseDelay,
+  retryMaxDelay: DEFAULT_RETRY_SETTINGS.maxDelay,
+  globalBandwidthLimit: 0,
+  perUploadBandwidthLimit: 0,
+  bandwidthSchedule: [],
+  notifyOnComplete: true,
+  notifyOnError: true,
+  notifyOnInterrupted: true,
+  notifyOnAuthRequired: true,
+  summarizeBatchNotifications: true,
+  historyRetentionDays: 90,
+  historyMaxEntries: 1000,
+  mirrorDownloads: false,
+  mirrorFolderId: null,
+  encryptUploads: false,
+  encryptionKeyType: EncryptionKeyType.PASSPHRASE,
+  transferWindows: [],
+  onlyWhenIdle: false,
+  namingTemplate: DEFAULT_NAMING_TEMPLATE
+};
+
+// Use a positive integer setting, or fall back to its default
+function positiveInteger(value, fallback) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+}
+
+// Use a non-negative number setting, or fall back to its default
+function nonNegativeNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+// Use a boolean setting, or fall back to its default
+function booleanSetting(value, fallback) {
+  return typeof value === 'boolean' ? value : fallback;
+}
+
+function isHour(value) {
+  return Number.isInteger(value) && value >= 0 && value < 24;
+}
+
+// Fill in defaults and drop invalid values from stored settings
+export function validateSettings(raw = {}) {
+  const settings = raw || {};
+
+  return {
+    defaultProviderId: isAvailableProvider(settings.defaultProviderId)
+      ? settings.defaultProviderId
+      : DEFAULT_SETTINGS.defaultProviderId,
+    defaultFolderId: typeof settings.defaultFolderId === 'string' && settings.defaultFolderId.trim()
+      ? settings.defaultFolderId.trim()
+      : DEFAULT_SETTINGS.defaultFolderId,
+    chunkSize: normalizeChunkSize(positiveInteger(settings.chunkSize, DEFAULT_SETTINGS.chunkSize)),
+    adaptiveChunkSize: booleanSetting(settings.adaptiveChunkSize, DEFAULT_SETTINGS.adaptiveChunkSize),
+    maxConcurrentUploads: positiveInteger(settings.maxConcurrentUploads, DEFAULT_SETTINGS.maxConcurrentUploads),
+    conflictPolicy: isConflictPolicy(settings.conflictPolicy)
+      ? settings.conflictPolicy
+      : DEFAULT_CONFLICT_POLICY,
+    maxRetryAttempts: positiveInteger(settings.maxRetryAttempts, DEFAULT_SETTINGS.maxRetryAttempts),
+    retryBaseDelay: positiveInteger(settings.retryBaseDelay, DEFAULT_SETTINGS.retryBaseDelay),
+    retryMaxDelay: positiveInteger(settings.retryMaxDelay, DEFAULT_SETTINGS.retryMaxDelay),
+    globalBandwidthLimit: nonNegativeNumber(settings.globalBandwidthLimit, DEFAULT_SETTINGS.globalBandwidthLimit),
+    perUploadBandwidthLimit: nonNegativeNumber(settings.perUploadBandwidthLimit, DEFAULT_SETTINGS.perUploadBandwidthLimit),
+    bandwidthSchedule: Array.isArray(settings.bandwidthSchedule)
+      ? settings.bandwidthSchedule.filter(rule =>
+          rule && isHour(rule.startHour) && isHour(rule.endHour) && nonNegativeNumber(rule.limit, -1) >= 0)
+      : DEFAULT_SETTINGS.bandwidthSchedule,
+    notifyOnComplete: booleanSetting(settings.notifyOnComplete, DEFAULT_SETTINGS.notifyOnComplete),
+    notifyOnError: booleanSetting(settings.notifyOnError, DEFAULT_SETTINGS.notifyOnError),
+    notifyOnInterrupted: booleanSetting(settings.notifyOnInterrupted, DEFAULT_SETTINGS.notifyOnInterrupted),
+    notifyOnAuthRequired: booleanSetting(settings.notifyOnAuthRequired, DEFAULT_SETTINGS.notifyOnAuthRequired),
+    summarizeBatchNotifications: booleanSetting(settings.summarizeBatchNotifications, DEFAULT_SETTINGS.summarizeBatchNotifications),
+    // 0 keeps history entries regardless of age or count
+    historyRetentionDays: Math.floor(nonNegativeNumber(settings.historyRetentionDays, DEFAULT_SETTINGS.historyRetentionDays)),
+    historyMaxEntries: Math.floor(nonNegativeNumber(settings.historyMaxEntries, DEFAULT_SETTINGS.historyMaxEntries)),
+    mirrorDownloads: booleanSetting(settings.mirrorDownloads, DEFAULT_SETTINGS.mirrorDownloads),
+    mirrorFolderId: typeof settings.mirrorFolderId === 'string' && settings.mirrorFolderId.trim()
+      ? settings.mirrorFolderId.trim()
+      : DEFAULT_SETTINGS.mirrorFolderId,
+    encryptUploads: booleanSetting(settings.encryptUploads, DEFAULT_SETTINGS.encryptUploads),
+    encryptionKeyType: isEncryptionKeyType(settings.encryptionKeyType)
+      ? settings.encryptionKeyType
+      : DEFAULT_SETTINGS.encryptionKeyType,
+    // Hours uploads may run in; none means any time
+    transferWindows: Array.isArray(settings.transferWindows)
+      ? settings.transferWindows.filter(window => window && isHour(window.startHour) && isHour(window.endHour))
+      : DEFAULT_SETTINGS.transferWindows,
+    onlyWhenIdle: booleanSetting(settings.onlyWhenIdle, DEFAULT_SETTINGS.onlyWhenIdle),
+    namingTemplate: isNamingTemplate(settings.namingTemplate)
+      ? settings.namingTemplate
+      : DEFAULT_SETTINGS.namingTemplate
+  };
+}
+
+// Loads the settings saved by the options page and keeps them up to date
+export class SettingsService {
+  constructor() {
+    this.settings = validateSettings();
+    this.listeners = [];
+  }
+
+  // Read the stored settings and start following changes to them
+  async load() {
+    const { settings } = await browserAPI.storage.local.get(['settings']);
+    this.settings = validateSettings(settings);
+
+    browserAPI.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.settings) {
+        this.settings = validateSettings(changes.settings.newValue);
+        this.listeners.forEach(listener => listener(this.settings));
+      }
+    });
+
+    return this.settings;
+  }
+
+  // Current validated settings
+  get() {
+    return this.settings;
+  }
+
+  // Call a listener whenever the settings change
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+}
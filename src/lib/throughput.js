@@ -0,0 +1,53 @@
+// Speed is measured over this much recent history
+const SAMPLE_WINDOW = 10 * 1000; // 10 seconds
+// Weight of the newest measurement in the smoothed speed
+const SMOOTHING = 0.3;
+// Number of speed points kept for sparklines
+const HISTORY_LENGTH = 30;
+
+// Rolling throughput measurement for one transfer
+export class ThroughputSampler {
+  constructor(startBytes = 0) {
+    const now = Date.now();
+    this.startedAt = now;
+    this.samples = [{ time: now, bytes: startBytes }];
+    this.bytes = startBytes;
+    this.speed = null;
+    this.history = [];
+  }
+
+  // Record the total number of bytes transferred so far
+  record(bytes) {
+    const now = Date.now();
+    this.bytes = bytes;
+    this.samples.push({ time: now, bytes });
+
+    // Keep one sample older than the window as the baseline
+    while (this.samples.length > 2 && now - this.samples[1].time > SAMPLE_WINDOW) {
+      this.samples.shift();
+    }
+
+    const baseline = this.samples[0];
+    const seconds = (now - baseline.time) / 1000;
+    if (seconds <= 0) return;
+
+    const speed = (bytes - baseline.bytes) / seconds;
+    this.speed = this.speed === null ? speed : SMOOTHING * speed + (1 - SMOOTHING) * this.speed;
+
+    this.history.push(Math.round(this.speed));
+    if (this.history.length > HISTORY_LENGTH) {
+      this.history.shift();
+    }
+  }
+
+  // Speed in bytes/s, ETA and elapsed time in seconds, and recent speeds
+  getStats(totalBytes) {
+    const speed = this.speed || 0;
+    return {
+      speed: Math.round(speed),
+      eta: speed > 0 ? Math.max(0, (totalBytes - this.bytes) / speed) : null,
+      elapsed: (Date.now() - this.startedAt) / 1000,
+      history: this.history.slice()
+    };
+  }
+}
@@ -0,0 +1,117 @@
+import { inHourWindow } from './rate-limiter.js';
+
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// Why an upload waits instead of running
+export const WaitReason = {
+  START_TIME: 'startTime',
+  NETWORK: 'network',
+  SCHEDULE: 'schedule',
+  IDLE: 'idle'
+};
+
+const WAIT_REASON_LABELS = {
+  [WaitReason.NETWORK]: 'Waiting for network',
+  [WaitReason.SCHEDULE]: 'Outside schedule',
+  [WaitReason.IDLE]: 'Waiting until the computer is idle'
+};
+
+// Text telling the user why a transfer waits
+export function describeWaitReason(reason, startAt = null) {
+  if (reason === WaitReason.START_TIME) {
+    return startAt ? `Scheduled for ${new Date(startAt).toLocaleString()}` : 'Scheduled';
+  }
+  return WAIT_REASON_LABELS[reason] || 'Waiting';
+}
+
+const CHECK_ALARM = 'transfer-conditions';
+// How long without input before the computer counts as idle
+const IDLE_DETECTION_INTERVAL = 5 * 60; // 5 minutes, in seconds
+
+// The start of the next full hour, when the hour windows may change
+function nextHour(now) {
+  const date = new Date(now);
+  date.setHours(date.getHours() + 1, 0, 0, 0);
+  return date.getTime();
+}
+
+// Follows what decides whether uploads may run: the network connection, the
+// hours transfers are allowed in and, if the settings ask for it, whether
+// the computer is in use
+export class TransferConditions {
+  constructor(settings) {
+    this.settings = settings;
+    this.online = navigator.onLine;
+    this.idleState = 'active';
+  }
+
+  // Call onChange whenever a condition may have changed. Must run when the
+  // background starts so the check alarm can wake it.
+  listen(onChange) {
+    self.addEventListener('online', () => {
+      this.online = true;
+      onChange();
+    });
+    self.addEventListener('offline', () => {
+      this.online = false;
+      onChange();
+    });
+
+    browserAPI.idle.setDetectionInterval(IDLE_DETECTION_INTERVAL);
+    browserAPI.idle.onStateChanged.addListener(state => {
+      this.idleState = state;
+      onChange();
+    });
+    Promise.resolve(browserAPI.idle.queryState(IDLE_DETECTION_INTERVAL)).then(state => {
+      this.idleState = state;
+      onChange();
+    }).catch(error => console.warn('Failed to query idle state:', error));
+
+    browserAPI.alarms.onAlarm.addListener(alarm => {
+      if (alarm.name === CHECK_ALARM) {
+        onChange();
+      }
+    });
+  }
+
+  isOnline() {
+    // The events can lag behind a dropped connection
+    return this.online && navigator.onLine;
+  }
+
+  // Why no upload may run at the given time, or null if they may
+  getWaitReason(now = Date.now()) {
+    const settings = this.settings.get();
+    const hour = new Date(now).getHours();
+
+    if (!this.isOnline()) {
+      return WaitReason.NETWORK;
+    }
+    if (settings.transferWindows.length > 0 &&
+        !settings.transferWindows.some(window => inHourWindow(window, hour))) {
+      return WaitReason.SCHEDULE;
+    }
+    if (settings.onlyWhenIdle && this.idleState === 'active') {
+      return WaitReason.IDLE;
+    }
+    return null;
+  }
+
+  // Wake up to check again when a waiting upload's start time comes or the
+  // hour windows change. Pass the start times of waiting uploads and whether
+  // any waits for the schedule; with neither, the check is dropped.
+  scheduleCheck(startTimes, waitsForSchedule, now = Date.now()) {
+    const times = startTimes.filter(time => time > now);
+    if (waitsForSchedule) {
+      times.push(nextHour(now));
+    }
+
+    if (times.length === 0) {
+      Promise.resolve(browserAPI.alarms.clear(CHECK_ALARM))
+        .catch(error => console.warn('Failed to clear alarm:', error));
+      return;
+    }
+    browserAPI.alarms.create(CHECK_ALARM, { when: Math.min(...times) });
+  }
+}
@@ -0,0 +1,131 @@
+import { withStore } from './idb.js';
+
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// Version of the saved transfer state. Bump it and add a migration to
+// MIGRATIONS whenever the shape of saved records changes.
+export const STATE_VERSION = 1;
+
+// Progress saves within this window are written together
+const WRITE_DELAY = 1000; // 1 second
+
+// Storage keys of the JSON blobs live transfers were kept in before
+const LEGACY_KEYS = ['uploads', 'batches', 'downloads'];
+
+// Steps bringing the saved state from the previous version to the given one
+const MIGRATIONS = {
+  // Split the JSON blobs in storage into one record per transfer
+  1: async () => {
+    const data = await browserAPI.storage.local.get(LEGACY_KEYS);
+    for (const key of LEGACY_KEYS) {
+      if (!data[key]) continue;
+
+      const records = JSON.parse(data[key]);
+      await withStore(key, 'readwrite', store => {
+        records.forEach(record => store.put(record));
+      });
+    }
+    // Only dropped once copied, so an interrupted migration runs again
+    await browserAPI.storage.local.remove(LEGACY_KEYS);
+  }
+};
+
+let migrationPromise = null;
+
+// Bring the saved state up to STATE_VERSION, once per session
+export function migrateState() {
+  if (!migrationPromise) {
+    migrationPromise = runMigrations().catch(error => {
+      migrationPromise = null;
+      throw error;
+    });
+  }
+  return migrationPromise;
+}
+
+async function runMigrations() {
+  const { stateVersion = 0 } = await browserAPI.storage.local.get(['stateVersion']);
+
+  for (let version = stateVersion + 1; version <= STATE_VERSION; version++) {
+    await MIGRATIONS[version]();
+    await browserAPI.storage.local.set({ stateVersion: version });
+  }
+}
+
+// Saves live transfers of one kind in IndexedDB, one record each. Changes
+// wait in a pending map keyed by ID, so a record changed many times is written
+// once with its latest state, and writes run one after another, so an older
+// state never overwrites a newer one.
+export class TransferStore {
+  constructor(storeName) {
+    this.storeName = storeName;
+    // ID -> record to write, or null to delete it
+    this.pending = new Map();
+    this.timer = null;
+    this.writes = Promise.resolve();
+  }
+
+  // Read every saved record, migrating older saved state first
+  async load() {
+    await migrateState();
+    return withStore(this.storeName, 'readonly', store => store.getAll());
+  }
+
+  // Save records and resolve once they are written
+  save(...records) {
+    records.forEach(record => this.pending.set(record.id, record));
+    return this.flush();
+  }
+
+  // Save a record with the next write, for changes cheap to lose such as
+  // progress. Later changes to it are folded into the same write.
+  saveLater(record) {
+    this.pending.set(record.id, record);
+    if (this.timer === null) {
+      this.timer = setTimeout(() => this.flush(), WRITE_DELAY);
+    }
+  }
+
+  // Delete records and resolve once they are gone
+  delete(...ids) {
+    ids.forEach(id => this.pending.set(id, null));
+    return this.flush();
+  }
+
+  // Write every pending change in one transaction, after earlier writes
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.pending.size === 0) return this.writes;
+
+    const changes = Array.from(this.pending);
+    this.pending.clear();
+
+    this.writes = this.writes.then(() => withStore(this.storeName, 'readwrite', store => {
+      changes.forEach(([id, record]) => {
+        if (record) {
+          store.put(record);
+        } else {
+          store.delete(id);
+        }
+      });
+    })).catch(error => {
+      console.error(`Error saving ${this.storeName}:`, error);
+    });
+    return this.writes;
+  }
+
+  // Delete every record, dropping changes not written yet
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending.clear();
+
+    const cleared = this.writes.then(() => withStore(this.storeName, 'readwrite', store => store.clear()));
+    this.writes = cleared.catch(error => {
+      console.error(`Error clearing ${this.storeName}:`, error);
+    });
+    return cleared;
+  }
+}
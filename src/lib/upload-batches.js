@@ -0,0 +1,60 @@
+// A batch groups the uploads of one selected directory. Its record keeps the
+// folder IDs created for the directory tree, keyed by relative path, so
+// resumed uploads reuse them instead of creating duplicate folders.
+
+// Create the record for a new batch. A conflict policy set for the batch
+// overrides the one from the options page, and startAt delays its uploads.
+export function createBatch(name, { folderId, providerId, accountId, conflictPolicy = null, startAt = null }) {
+  return {
+    id: `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name: name,
+    providerId: providerId,
+    accountId: accountId,
+    conflictPolicy: conflictPolicy,
+    folderId: folderId,
+    folderIds: {},
+    startAt: startAt,
+    startTime: Date.now()
+  };
+}
+
+// Aggregate the uploads of a batch into one transfer for the UI
+export function summarizeBatch(batch, uploads) {
+  const count = status => uploads.filter(upload => upload.status === status).length;
+  const has = (...statuses) => uploads.some(upload => statuses.includes(upload.status));
+
+  const totalBytes = uploads.reduce((sum, upload) => sum + upload.file.size, 0);
+  const uploadedBytes = uploads.reduce((sum, upload) => sum + upload.uploadedBytes, 0);
+
+  let status = 'completed';
+  if (has('initializing', 'uploading')) {
+    status = 'uploading';
+  } else if (has('queued')) {
+    status = 'queued';
+  } else if (has('waiting')) {
+    status = 'waiting';
+  } else if (has('conflict')) {
+    status = 'conflict';
+  } else if (has('paused', 'interrupted')) {
+    status = 'paused';
+  } else if (has('error', 'corrupt')) {
+    status = 'error';
+  }
+
+  return {
+    id: batch.id,
+    type: 'batch',
+    name: batch.name,
+    status: status,
+    waitReason: status === 'waiting' ? uploads.find(upload => upload.status === 'waiting').waitReason : null,
+    startAt: batch.startAt || null,
+    totalFiles: uploads.length,
+    completedFiles: count('completed') + count('verified') + count('skipped'),
+    failedFiles: count('error') + count('corrupt'),
+    conflictFiles: count('conflict'),
+    totalBytes: totalBytes,
+    uploadedBytes: uploadedBytes,
+    progress: totalBytes > 0 ? (uploadedBytes / totalBytes) * 100 : (status === 'completed' ? 100 : 0),
+    startTime: batch.startTime
+  };
+}
@@ -0,0 +1,92 @@
+import { FileStore } from './file-store.js';
+import { sendMessage } from './messaging.js';
+
+const fileStore = new FileStore();
+
+// Metadata of a file as sent to the background
+function describeFile(file) {
+  return {
+    name: file.name,
+    size: file.size,
+    type: file.type,
+    lastModified: file.lastModified
+  };
+}
+
+// Group { file, relativePath } entries into loose files and one list per
+// selected top-level directory
+export function groupEntries(entries) {
+  const files = [];
+  const directories = new Map();
+
+  entries.forEach(entry => {
+    const separator = entry.relativePath.indexOf('/');
+    if (separator === -1) {
+      files.push(entry);
+    } else {
+      const name = entry.relativePath.slice(0, separator);
+      if (!directories.has(name)) {
+        directories.set(name, []);
+      }
+      directories.get(name).push(entry);
+    }
+  });
+
+  return { files, directories };
+}
+
+// Stage entries in the file store and hand them to the background: loose files
+// as single uploads and each directory as a batch that recreates its tree.
+// The destination defaults to the default account of the default provider,
+// and conflictPolicy to the one set in the options; startAt delays the
+// uploads. An entry may carry the metadata the user set for its file.
+// Resolves with the errors of the uploads that could not be started.
+export async function startUploads(entries, { folderId = null, providerId = null, accountId = null, conflictPolicy = null, startAt = null } = {}) {
+  const { files, directories } = groupEntries(entries);
+  const errors = [];
+
+  for (const { file, metadata = null } of files) {
+    try {
+      // Stage the file so the background can read it after the page closes
+      const fileKey = await fileStore.stage(file);
+      await sendMessage({
+        action: 'startUpload',
+        file: describeFile(file),
+        fileKey: fileKey,
+        folderId: folderId,
+        providerId: providerId,
+        accountId: accountId,
+        conflictPolicy: conflictPolicy,
+        startAt: startAt,
+        metadata: metadata
+      });
+    } catch (error) {
+      errors.push(`${file.name}: ${error.message}`);
+    }
+  }
+
+  for (const [name, directoryEntries] of directories) {
+    try {
+      const fileKeys = await fileStore.stageMany(directoryEntries.map(entry => entry.file));
+      await sendMessage({
+        action: 'startBatch',
+        name: name,
+        files: directoryEntries.map((entry, index) => ({
+          ...describeFile(entry.file),
+          relativePath: entry.relativePath,
+          fileKey: fileKeys[index],
+          metadata: entry.metadata || null
+        })),
+        folderId: folderId,
+        providerId: providerId,
+        accountId: accountId,
+        conflictPolicy: conflictPolicy,
+        startAt: startAt
+      });
+    } catch (error) {
+      errors.push(`${name}/: ${error.message}`);
+    }
+  }
+
+  return errors;
+}
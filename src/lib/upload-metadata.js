@@ -0,0 +1,160 @@
+// Metadata set for a file at upload time: the name it gets, from the naming
+// template or typed by the user, and on Google Drive a description, a star,
+// custom properties and conversion to a Google Docs format.
+
+// Placeholders of naming templates
+//   {name}  original file name          {base}  name without its extension
+//   {ext}   extension with its dot      {path}  folder within an uploaded folder
+//   {date}  upload date, 2024-01-31     {time}  upload time, 13-45
+export const DEFAULT_NAMING_TEMPLATE = '{name}';
+const MAX_TEMPLATE_LENGTH = 200;
+
+// appProperties that mark encrypted files; users may not set them
+const RESERVED_PROPERTIES = ['encrypted', 'encryptionFormat', 'encryptionKeyType'];
+// Drive allows 30 properties per app, and 124 bytes per key and value
+const MAX_PROPERTIES = 30 - RESERVED_PROPERTIES.length;
+const MAX_PROPERTY_BYTES = 124;
+const MAX_DESCRIPTION_LENGTH = 4000;
+
+const GOOGLE_DOCUMENT = 'application/vnd.google-apps.document';
+const GOOGLE_SPREADSHEET = 'application/vnd.google-apps.spreadsheet';
+const GOOGLE_PRESENTATION = 'application/vnd.google-apps.presentation';
+
+// Google Docs formats Office and CSV files can be converted to, by type and
+// by extension for files the browser gives no type
+const CONVERSIONS = {
+  'application/msword': GOOGLE_DOCUMENT,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': GOOGLE_DOCUMENT,
+  'application/vnd.ms-excel': GOOGLE_SPREADSHEET,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': GOOGLE_SPREADSHEET,
+  'text/csv': GOOGLE_SPREADSHEET,
+  'application/vnd.ms-powerpoint': GOOGLE_PRESENTATION,
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': GOOGLE_PRESENTATION
+};
+const CONVERSION_EXTENSIONS = {
+  '.doc': GOOGLE_DOCUMENT,
+  '.docx': GOOGLE_DOCUMENT,
+  '.xls': GOOGLE_SPREADSHEET,
+  '.xlsx': GOOGLE_SPREADSHEET,
+  '.csv': GOOGLE_SPREADSHEET,
+  '.ppt': GOOGLE_PRESENTATION,
+  '.pptx': GOOGLE_PRESENTATION
+};
+
+const CONVERSION_NAMES = {
+  [GOOGLE_DOCUMENT]: 'Google Docs',
+  [GOOGLE_SPREADSHEET]: 'Google Sheets',
+  [GOOGLE_PRESENTATION]: 'Google Slides'
+};
+
+// A name split into its base and its extension, with the dot. Leading dots
+// of hidden files are part of the base.
+function splitExtension(name) {
+  const index = name.lastIndexOf('.');
+  return index > 0 ? { base: name.slice(0, index), ext: name.slice(index) } : { base: name, ext: '' };
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+// A template must name each file after its original, or every file of an
+// upload would get the same name
+export function isNamingTemplate(value) {
+  return typeof value === 'string' &&
+    value.length <= MAX_TEMPLATE_LENGTH &&
+    (value.includes('{name}') || value.includes('{base}'));
+}
+
+// The name a file gets from a naming template. path is the folder of the file
+// within an uploaded folder, whose separators become underscores since most
+// services do not allow slashes in names.
+export function applyNamingTemplate(template, { name, path = '', date = new Date() }) {
+  const { base, ext } = splitExtension(name);
+  const values = {
+    name: name,
+    base: base,
+    ext: ext,
+    path: path.split('/').filter(Boolean).join('_'),
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}-${pad(date.getMinutes())}`
+  };
+
+  // A file outside any folder drops {path} along with the separator next to it
+  const source = values.path ? template : template.replace(/\{path\}[ _-]?|[ _-]?\{path\}/g, '');
+  const result = source.replace(/\{(\w+)\}/g, (match, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match
+  ).trim();
+  return result || name;
+}
+
+// The Google Docs type a file converts to, or null if it cannot be converted
+export function getConversionType(file) {
+  if (CONVERSIONS[file.type]) {
+    return CONVERSIONS[file.type];
+  }
+  return CONVERSION_EXTENSIONS[splitExtension(file.name).ext.toLowerCase()] || null;
+}
+
+// Name of a Google Docs type, for labels
+export function describeConversion(type) {
+  return CONVERSION_NAMES[type] || 'Google Docs';
+}
+
+function byteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+// Read custom properties written one "key=value" per line. Throws with a
+// message for the user if a line cannot be used.
+export function parseProperties(text) {
+  const properties = {};
+
+  text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const separator = line.indexOf('=');
+    const key = separator === -1 ? line : line.slice(0, separator).trim();
+    const value = separator === -1 ? '' : line.slice(separator + 1).trim();
+
+    if (separator <= 0 || !key) {
+      throw new Error(`Write properties as key=value: ${line}`);
+    }
+    if (RESERVED_PROPERTIES.includes(key)) {
+      throw new Error(`The property ${key} is reserved`);
+    }
+    if (byteLength(key) + byteLength(value) > MAX_PROPERTY_BYTES) {
+      throw new Error(`The property ${key} is too long`);
+    }
+    properties[key] = value;
+  });
+
+  if (Object.keys(properties).length > MAX_PROPERTIES) {
+    throw new Error(`A file can have at most ${MAX_PROPERTIES} properties`);
+  }
+  return properties;
+}
+
+// Fill in defaults and drop invalid values from metadata sent by a page
+export function validateUploadMetadata(raw) {
+  const metadata = raw || {};
+  const properties = {};
+
+  if (metadata.properties && typeof metadata.properties === 'object') {
+    Object.keys(metadata.properties).slice(0, MAX_PROPERTIES).forEach(key => {
+      const value = metadata.properties[key];
+      if (key && typeof value === 'string' && !RESERVED_PROPERTIES.includes(key) &&
+          byteLength(key) + byteLength(value) <= MAX_PROPERTY_BYTES) {
+        properties[key] = value;
+      }
+    });
+  }
+
+  return {
+    name: typeof metadata.name === 'string' && metadata.name.trim() ? metadata.name.trim() : null,
+    description: typeof metadata.description === 'string' && metadata.description.trim()
+      ? metadata.description.trim().slice(0, MAX_DESCRIPTION_LENGTH)
+      : null,
+    starred: metadata.starred === true,
+    properties: properties,
+    convert: metadata.convert === true
+  };
+}
@@ -0,0 +1,72 @@
+// Statuses that hold one of the concurrent upload slots
+const RUNNING_STATUSES = ['initializing', 'uploading'];
+
+export const DEFAULT_MAX_CONCURRENT_UPLOADS = 3;
+
+// FIFO ordering of queued uploads. The order lives in each upload's
+// queuePosition so it is persisted along with the uploads themselves.
+export class UploadQueue {
+  constructor(uploads) {
+    this.uploads = uploads;
+  }
+
+  // Queued uploads, first in line first
+  getQueued() {
+    return Array.from(this.uploads.values())
+      .filter(upload => upload.status === 'queued')
+      .sort((a, b) => a.queuePosition - b.queuePosition);
+  }
+
+  // Number of uploads currently holding a slot
+  countRunning() {
+    return Array.from(this.uploads.values())
+      .filter(upload => RUNNING_STATUSES.includes(upload.status))
+      .length;
+  }
+
+  // Put an upload at the back of the queue
+  enqueue(upload) {
+    upload.status = 'queued';
+    this.moveToBottom(upload);
+  }
+
+  // Put several uploads at the back of the queue, keeping their order
+  enqueueAll(uploads) {
+    const positions = this.getQueued().map(queued => queued.queuePosition);
+    let nextPosition = positions.length > 0 ? Math.max(...positions) + 1 : 0;
+
+    uploads.forEach(upload => {
+      upload.status = 'queued';
+      upload.queuePosition = nextPosition++;
+    });
+  }
+
+  // Move a queued upload to the front of the line
+  moveToTop(upload) {
+    const positions = this.getQueued()
+      .filter(queued => queued.id !== upload.id)
+      .map(queued => queued.queuePosition);
+    upload.queuePosition = positions.length > 0 ? Math.min(...positions) - 1 : 0;
+  }
+
+  // Move a queued upload to the back of the line
+  moveToBottom(upload) {
+    const positions = this.getQueued()
+      .filter(queued => queued.id !== upload.id)
+      .map(queued => queued.queuePosition);
+    upload.queuePosition = positions.length > 0 ? Math.max(...positions) + 1 : 0;
+  }
+
+  // Take the uploads that can start now and mark them as initializing
+  promote(maxConcurrent) {
+    const freeSlots = Math.max(0, maxConcurrent - this.countRunning());
+    const promoted = this.getQueued().slice(0, freeSlots);
+
+    promoted.forEach(upload => {
+      upload.status = 'initializing';
+      delete upload.queuePosition;
+    });
+
+    return promoted;
+  }
+}
@@ -0,0 +1,485 @@
+import { startUploads } from '../lib/upload-client.js';
+import { readFileList, readDataTransfer } from '../lib/directory-reader.js';
+import { sendMessage } from '../lib/messaging.js';
+import { FolderPicker } from '../components/folder-picker.js';
+import { describeWaitReason } from '../lib/transfer-conditions.js';
+import { PROGRESS_PORT_NAME } from '../lib/progress-stream.js';
+
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// Message actions for each kind of transfer
+const ACTIONS = {
+  upload: { pause: 'pauseUpload', resume: 'resumeUpload', cancel: 'cancelUpload', idKey: 'uploadId' },
+  download: { pause: 'pauseDownload', resume: 'resumeDownload', cancel: 'cancelDownload', idKey: 'downloadId' },
+  batch: { pause: 'pauseBatch', resume: 'resumeBatch', cancel: 'cancelBatch', idKey: 'batchId' }
+};
+
+// Statuses matched by each status filter
+const STATUS_FILTERS = {
+  active: ['initializing', 'uploading', 'downloading'],
+  queued: ['queued'],
+  waiting: ['waiting'],
+  paused: ['paused', 'interrupted', 'conflict'],
+  completed: ['completed', 'verified', 'skipped'],
+  error: ['error', 'corrupt']
+};
+
+// Number of files listed in the detail panel of a folder upload
+const MAX_DETAIL_FILES = 200;
+
+document.addEventListener('DOMContentLoaded', function() {
+  const dropZone = document.getElementById('drop-zone');
+  const selectFilesButton = document.getElementById('select-files');
+  const selectFolderButton = document.getElementById('select-folder');
+  const fileInput = document.getElementById('file-input');
+  const folderInput = document.getElementById('folder-input');
+  const destinationName = document.getElementById('destination-name');
+  const conflictPolicySelect = document.getElementById('conflict-policy');
+  const changeDestinationButton = document.getElementById('change-destination');
+  const folderPickerContainer = document.getElementById('folder-picker');
+  const statusFilter = document.getElementById('status-filter');
+  const selectionCount = document.getElementById('selection-count');
+  const bulkPauseButton = document.getElementById('bulk-pause');
+  const bulkResumeButton = document.getElementById('bulk-resume');
+  const bulkCancelButton = document.getElementById('bulk-cancel');
+  const selectAllCheckbox = document.getElementById('select-all');
+  const transferRows = document.getElementById('transfer-rows');
+  const emptyState = document.getElementById('empty-state');
+  const detailPanel = document.getElementById('detail-panel');
+
+  // Transfers from the progress stream by ID, and the rows shown for them
+  const transfers = new Map();
+  let rows = [];
+  // Files of the folder upload shown in the detail panel
+  let uploads = [];
+  let loadingUploads = false;
+  let progressPort = null;
+  let selectedFolder = null;
+  // Account chosen in the popup, as { providerId, accountId }
+  let selectedAccount = null;
+  let selectedIds = new Set();
+  let detailId = null;
+  let sortKey = 'startTime';
+  let sortAscending = false;
+
+  const folderPicker = new FolderPicker(folderPickerContainer, {
+    onSelect: function(folder) {
+      selectedFolder = folder;
+      destinationName.textContent = folder.name;
+      destinationName.title = folder.id;
+    }
+  });
+
+  init();
+
+  // Handle file and folder selection
+  selectFilesButton.addEventListener('click', function() {
+    fileInput.click();
+  });
+
+  selectFolderButton.addEventListener('click', function() {
+    folderInput.click();
+  });
+
+  fileInput.addEventListener('change', function(e) {
+    uploadEntries(readFileList(e.target.files));
+    fileInput.value = '';
+  });
+
+  folderInput.addEventListener('change', function(e) {
+    uploadEntries(readFileList(e.target.files));
+    folderInput.value = '';
+  });
+
+  // Handle files and folders dropped on the drop zone
+  dropZone.addEventListener('dragover', function(e) {
+    e.preventDefault();
+    dropZone.classList.add('drag-over');
+  });
+
+  dropZone.addEventListener('dragleave', function() {
+    dropZone.classList.remove('drag-over');
+  });
+
+  dropZone.addEventListener('drop', function(e) {
+    e.preventDefault();
+    dropZone.classList.remove('drag-over');
+
+    readDataTransfer(e.dataTransfer)
+      .then(uploadEntries)
+      .catch(error => {
+        console.error('Error reading dropped files:', error);
+        alert(`Failed to read dropped files: ${error.message}`);
+      });
+  });
+
+  // Choose the Drive folder to upload into
+  changeDestinationButton.addEventListener('click', function() {
+    folderPicker.open(selectedFolder ? selectedFolder.id : null);
+  });
+
+  // Handle filtering and sorting
+  statusFilter.addEventListener('change', render);
+
+  document.querySelectorAll('th[data-sort]').forEach(header => {
+    header.addEventListener('click', function() {
+      if (sortKey === header.dataset.sort) {
+        sortAscending = !sortAscending;
+      } else {
+        sortKey = header.dataset.sort;
+        sortAscending = true;
+      }
+      render();
+    });
+  });
+
+  // Handle selection and bulk actions
+  selectAllCheckbox.addEventListener('change', function() {
+    getVisibleRows().forEach(row => {
+      if (selectAllCheckbox.checked) {
+        selectedIds.add(row.id);
+      } else {
+        selectedIds.delete(row.id);
+      }
+    });
+    render();
+  });
+
+  bulkPauseButton.addEventListener('click', function() {
+    runBulkAction('pause');
+  });
+
+  bulkResumeButton.addEventListener('click', function() {
+    runBulkAction('resume');
+  });
+
+  bulkCancelButton.addEventListener('click', function() {
+    if (confirm(`Are you sure you want to cancel ${selectedIds.size} transfer(s)?`)) {
+      runBulkAction('cancel');
+    }
+  });
+
+  // Upload dropped or selected entries
+  function uploadEntries(entries) {
+    if (entries.length === 0) return;
+
+    startUploads(entries, {
+      folderId: selectedFolder ? selectedFolder.id : null,
+      providerId: selectedAccount ? selectedAccount.providerId : null,
+      accountId: selectedAccount ? selectedAccount.accountId : null,
+      conflictPolicy: conflictPolicySelect.value || null
+    }).then(errors => {
+      if (errors.length > 0) {
+        console.error('Upload errors:', errors);
+        alert(`Failed to start upload:\n${errors.join('\n')}`);
+      }
+      loadTransfers();
+    });
+  }
+
+  // Connect to the background's progress stream
+  function connectProgressStream() {
+    progressPort = browserAPI.runtime.connect({ name: PROGRESS_PORT_NAME });
+    progressPort.onMessage.addListener(handleProgressMessage);
+    progressPort.onDisconnect.addListener(function() {
+      // The background was stopped; reconnecting starts it again
+      progressPort = null;
+      setTimeout(connectProgressStream, 1000);
+    });
+  }
+
+  // Apply a snapshot or a single change from the progress stream
+  function handleProgressMessage(message) {
+    if (message.type === 'snapshot') {
+      transfers.clear();
+      message.transfers.forEach(transfer => transfers.set(transfer.id, transfer));
+    } else if (message.type === 'update') {
+      // Uploads of a batch are shown through the batch itself
+      if (message.transfer.batchId) return;
+      transfers.set(message.transfer.id, message.transfer);
+    } else if (message.type === 'remove') {
+      if (!transfers.has(message.id)) return;
+      transfers.delete(message.id);
+    }
+
+    rows = Array.from(transfers.values()).map(toRow);
+
+    // Forget selections of transfers that are gone
+    const ids = new Set(rows.map(row => row.id));
+    selectedIds = new Set(Array.from(selectedIds).filter(id => ids.has(id)));
+    if (detailId && !ids.has(detailId)) {
+      detailId = null;
+    }
+
+    render();
+    loadUploads();
+  }
+
+  // Ask for a fresh snapshot of uploads, folder uploads and downloads
+  function loadTransfers() {
+    if (progressPort) {
+      progressPort.postMessage({ type: 'refresh' });
+    }
+  }
+
+  // Load the files of the folder upload in the detail panel, which the
+  // progress stream only sums up
+  async function loadUploads() {
+    const row = rows.find(item => item.id === detailId);
+    if (!row || row.kind !== 'batch' || loadingUploads) return;
+
+    loadingUploads = true;
+    try {
+      const uploadList = await sendMessage({ action: 'getUploads' });
+      uploads = uploadList.filter(upload => upload.batchId === row.id);
+      renderDetails();
+    } catch (error) {
+      console.error('Error loading folder upload files:', error);
+    } finally {
+      loadingUploads = false;
+    }
+  }
+
+  // Flatten a transfer into the fields shown in the table
+  function toRow(transfer) {
+    const kind = transfer.type || 'upload';
+
+    if (kind === 'batch') {
+      return {
+        id: transfer.id,
+        kind: kind,
+        name: `${transfer.name}/`,
+        status: transfer.status,
+        progress: transfer.progress || 0,
+        size: transfer.totalBytes,
+        transferred: transfer.uploadedBytes,
+        startTime: transfer.startTime,
+        record: transfer
+      };
+    }
+
+    return {
+      id: transfer.id,
+      kind: kind,
+      name: transfer.file.name,
+      encrypted: !!transfer.encryption,
+      status: transfer.status,
+      progress: transfer.progress || 0,
+      size: transfer.file.size,
+      transferred: kind === 'download' ? transfer.downloadedBytes : transfer.uploadedBytes,
+      startTime: transfer.startTime,
+      record: transfer
+    };
+  }
+
+  // Rows matching the status filter, in sort order
+  function getVisibleRows() {
+    const statuses = STATUS_FILTERS[statusFilter.value];
+    const visible = statuses ? rows.filter(row => statuses.includes(row.status)) : rows.slice();
+
+    visible.sort((a, b) => {
+      const left = a[sortKey];
+      const right = b[sortKey];
+      const order = typeof left === 'string' ? left.localeCompare(right) : left - right;
+      return sortAscending ? order : -order;
+    });
+
+    return visible;
+  }
+
+  // Render the table, toolbar and detail panel
+  function render() {
+    const visible = getVisibleRows();
+
+    transferRows.innerHTML = '';
+    visible.forEach(row => transferRows.appendChild(createRowElement(row)));
+    emptyState.hidden = visible.length > 0;
+
+    document.querySelectorAll('th[data-sort]').forEach(header => {
+      header.classList.toggle('sorted-asc', header.dataset.sort === sortKey && sortAscending);
+      header.classList.toggle('sorted-desc', header.dataset.sort === sortKey && !sortAscending);
+    });
+
+    selectAllCheckbox.checked = visible.length > 0 && visible.every(row => selectedIds.has(row.id));
+    selectionCount.textContent = selectedIds.size > 0 ? `${selectedIds.size} selected` : '';
+    bulkPauseButton.disabled = selectedIds.size === 0;
+    bulkResumeButton.disabled = selectedIds.size === 0;
+    bulkCancelButton.disabled = selectedIds.size === 0;
+
+    renderDetails();
+  }
+
+  // Create the table row of a transfer
+  function createRowElement(row) {
+    const element = document.createElement('tr');
+    element.className = row.id === detailId ? 'detail-open' : '';
+
+    element.innerHTML = `
+      <td><input type="checkbox" class="row-select"></td>
+      <td class="name-cell"></td>
+      <td>${row.kind}</td>
+      <td><span class="status status-${row.status}" title="${row.status === 'waiting' ? describeWaitReason(row.record.waitReason, row.record.startAt) : ''}">${row.status}</span></td>
+      <td>
+        <div class="progress"><div class="progress-bar" style="width: ${row.progress}%"></div></div>
+        <span class="progress-text">${Math.round(row.progress)}%</span>
+      </td>
+      <td>${formatFileSize(row.transferred || 0)} / ${formatFileSize(row.size || 0)}</td>
+      <td>${row.startTime ? new Date(row.startTime).toLocaleString() : ''}</td>
+    `;
+
+    const nameCell = element.querySelector('.name-cell');
+    nameCell.textContent = row.encrypted ? `\u{1F512} ${row.name}` : row.name;
+    nameCell.title = row.encrypted ? `${row.name} (encrypted)` : row.name;
+
+    const checkbox = element.querySelector('.row-select');
+    checkbox.checked = selectedIds.has(row.id);
+    checkbox.addEventListener('click', function(e) {
+      e.stopPropagation();
+      if (checkbox.checked) {
+        selectedIds.add(row.id);
+      } else {
+        selectedIds.delete(row.id);
+      }
+      render();
+    });
+
+    // Toggle the detail panel
+    element.addEventListener('click', function() {
+      detailId = detailId === row.id ? null : row.id;
+      render();
+      loadUploads();
+    });
+
+    return element;
+  }
+
+  // Render the detail panel of the clicked transfer
+  function renderDetails() {
+    const row = rows.find(item => item.id === detailId);
+    detailPanel.hidden = !row;
+    detailPanel.innerHTML = '';
+    if (!row) return;
+
+    const title = document.createElement('h2');
+    title.textContent = row.name;
+    detailPanel.appendChild(title);
+
+    const record = row.record;
+    const fields = [
+      ['ID', record.id],
+      ['Type', row.kind],
+      ['Status', record.status],
+      ['Waiting because', record.status === 'waiting' ? describeWaitReason(record.waitReason, record.startAt) : null],
+      ['Transferred', `${formatFileSize(row.transferred || 0)} of ${formatFileSize(row.size || 0)}`],
+      ['Started', record.startTime ? new Date(record.startTime).toLocaleString() : null],
+      ['Finished', record.endTime ? new Date(record.endTime).toLocaleString() : null],
+      ['MIME type', record.file ? record.file.type : null],
+      ['Drive file ID', record.fileId || (record.remoteFile && record.remoteFile.id)],
+      ['MD5', record.checksums ? record.checksums.md5 : null],
+      ['SHA-256', record.checksums ? record.checksums.sha256 : null],
+      ['Destination folder', record.folderId],
+      ['Chunk size', record.chunkSize ? formatFileSize(record.chunkSize) : null],
+      ['Files', row.kind === 'batch' ? `${record.completedFiles} of ${record.totalFiles} completed, ${record.failedFiles} failed` : null],
+      ['Error', record.error]
+    ];
+
+    const list = document.createElement('dl');
+    fields.filter(([, value]) => value !== null && value !== undefined && value !== '').forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const definition = document.createElement('dd');
+      definition.textContent = value;
+      list.appendChild(term);
+      list.appendChild(definition);
+    });
+    detailPanel.appendChild(list);
+
+    if (row.kind === 'batch') {
+      detailPanel.appendChild(createBatchFileList(record.id));
+    }
+  }
+
+  // List the files of a folder upload with their status
+  function createBatchFileList(batchId) {
+    const batchUploads = uploads.filter(upload => upload.batchId === batchId);
+    const list = document.createElement('ul');
+    list.className = 'batch-files';
+
+    batchUploads.slice(0, MAX_DETAIL_FILES).forEach(upload => {
+      const item = document.createElement('li');
+      const path = upload.relativeDir ? `${upload.relativeDir}/${upload.file.name}` : upload.file.name;
+      item.textContent = `${path} — ${upload.status} (${Math.round(upload.progress || 0)}%)`;
+      if (upload.error) {
+        item.title = upload.error;
+        item.className = 'batch-file-error';
+      }
+      list.appendChild(item);
+    });
+
+    if (batchUploads.length > MAX_DETAIL_FILES) {
+      const more = document.createElement('li');
+      more.textContent = `…and ${batchUploads.length - MAX_DETAIL_FILES} more`;
+      list.appendChild(more);
+    }
+
+    return list;
+  }
+
+  // Pause, resume or cancel every selected transfer
+  async function runBulkAction(operation) {
+    const selected = rows.filter(row => selectedIds.has(row.id));
+
+    for (const row of selected) {
+      const actions = ACTIONS[row.kind];
+      try {
+        await sendMessage({ action: actions[operation], [actions.idKey]: row.id });
+      } catch (error) {
+        console.error(`Failed to ${operation} ${row.name}:`, error);
+      }
+    }
+
+    if (operation === 'cancel') {
+      selectedIds.clear();
+    }
+    loadTransfers();
+  }
+
+  // Format file size for display
+  function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  }
+
+  // Upload to the account chosen in the popup, following later changes
+  function loadSelectedAccount() {
+    browserAPI.storage.local.get(['selectedAccount'], function(data) {
+      setSelectedAccount(data.selectedAccount || null);
+    });
+
+    browserAPI.storage.onChanged.addListener(function(changes, areaName) {
+      if (areaName === 'local' && changes.selectedAccount) {
+        setSelectedAccount(changes.selectedAccount.newValue || null);
+      }
+    });
+  }
+
+  function setSelectedAccount(account) {
+    selectedAccount = account;
+    selectedFolder = null;
+    destinationName.textContent = 'Default folder';
+    destinationName.title = '';
+    folderPicker.setProvider(account ? account.providerId : null, account ? account.accountId : null);
+  }
+
+  // Initialize the page
+  function init() {
+    connectProgressStream();
+    loadSelectedAccount();
+  }
+});
@@ -0,0 +1,67 @@
+import { DownloadStore } from '../lib/download-store.js';
+import { ChecksumClient } from '../lib/checksums.js';
+import { KEEPALIVE_PORT_NAME, HEARTBEAT_INTERVAL } from '../lib/lifecycle.js';
+
+// Cross-browser compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// The background service worker cannot create blob URLs or start workers, so
+// it asks this offscreen document to assemble downloads for the downloads API
+// and to hash upload source files. While transfers run, it also sends the
+// background a heartbeat so the browser does not stop it.
+const downloadStore = new DownloadStore();
+const checksums = new ChecksumClient();
+
+let heartbeatTimer = null;
+let heartbeatPort = null;
+
+function startHeartbeat() {
+  if (heartbeatTimer) return;
+
+  heartbeatPort = browserAPI.runtime.connect({ name: KEEPALIVE_PORT_NAME });
+  // A stopped background forgets its transfers until it picks them up
+  // again, and then asks for a new heartbeat
+  heartbeatPort.onDisconnect.addListener(stopHeartbeat);
+  heartbeatTimer = setInterval(() => heartbeatPort.postMessage({ type: 'heartbeat' }), HEARTBEAT_INTERVAL);
+}
+
+function stopHeartbeat() {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+  if (heartbeatPort) {
+    heartbeatPort.disconnect();
+    heartbeatPort = null;
+  }
+}
+
+browserAPI.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') return;
+
+  switch (request.action) {
+    case 'createObjectUrl':
+      downloadStore.getBlob(request.downloadId, request.type, request.decrypted)
+        .then(blob => sendResponse({ url: URL.createObjectURL(blob) }))
+        .catch(error => sendResponse({ error: error.message }));
+      return true;
+
+    case 'revokeObjectUrl':
+      URL.revokeObjectURL(request.url);
+      sendResponse({ success: true });
+      break;
+
+    case 'heartbeat':
+      if (request.active) {
+        startHeartbeat();
+      } else {
+        stopHeartbeat();
+      }
+      sendResponse({ success: true });
+      break;
+
+    case 'checksum':
+      checksums.request(request.request)
+        .then(result => sendResponse({ result }))
+        .catch(error => sendResponse({ error: error.message }));
+      return true;
+  }
+});
@@ -1,58 +1,567 @@
+import { FolderPicker } from '../components/folder-picker.js';
+import { sendMessage } from '../lib/messaging.js';
+import { EncryptionKeys } from '../lib/encryption-keys.js';
+import { EncryptionKeyType } from '../lib/encryption.js';
+import { DEFAULT_NAMING_TEMPLATE, isNamingTemplate, applyNamingTemplate } from '../lib/upload-metadata.js';
+import { DEFAULT_PROVIDER_ID, listAvailableProviders, isAvailableProvider } from '../lib/providers/index.js';
+
 // Cross-browser compatibility
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
 document.addEventListener('DOMContentLoaded', function() {
-  const defaultFolderInput = document.getElementById('default-folder');
+  const defaultProviderSelect = document.getElementById('default-provider');
+  const defaultFolderName = document.getElementById('default-folder-name');
+  const chooseDefaultFolderButton = document.getElementById('choose-default-folder');
+  const resetDefaultFolderButton = document.getElementById('reset-default-folder');
+  const defaultFolderPickerContainer = document.getElementById('default-folder-picker');
   const chunkSizeSelect = document.getElementById('chunk-size');
+  const adaptiveChunkSizeInput = document.getElementById('adaptive-chunk-size');
+  const maxConcurrentUploadsInput = document.getElementById('max-concurrent-uploads');
+  const conflictPolicySelect = document.getElementById('conflict-policy');
+  const namingTemplateInput = document.getElementById('naming-template');
+  const namingTemplatePreview = document.getElementById('naming-template-preview');
+  const maxRetryAttemptsInput = document.getElementById('max-retry-attempts');
+  const retryBaseDelayInput = document.getElementById('retry-base-delay');
+  const retryMaxDelayInput = document.getElementById('retry-max-delay');
+  const globalBandwidthLimitInput = document.getElementById('global-bandwidth-limit');
+  const perUploadBandwidthLimitInput = document.getElementById('per-upload-bandwidth-limit');
+  const accountList = document.getElementById('account-list');
+  const bandwidthScheduleContainer = document.getElementById('bandwidth-schedule');
+  const addScheduleRuleButton = document.getElementById('add-schedule-rule');
+  const transferWindowsContainer = document.getElementById('transfer-windows');
+  const addTransferWindowButton = document.getElementById('add-transfer-window');
+  const onlyWhenIdleInput = document.getElementById('only-when-idle');
+  const notifyOnCompleteInput = document.getElementById('notify-on-complete');
+  const notifyOnErrorInput = document.getElementById('notify-on-error');
+  const notifyOnInterruptedInput = document.getElementById('notify-on-interrupted');
+  const notifyOnAuthRequiredInput = document.getElementById('notify-on-auth-required');
+  const summarizeBatchNotificationsInput = document.getElementById('summarize-batch-notifications');
+  const mirrorDownloadsInput = document.getElementById('mirror-downloads');
+  const mirrorFolderName = document.getElementById('mirror-folder-name');
+  const chooseMirrorFolderButton = document.getElementById('choose-mirror-folder');
+  const resetMirrorFolderButton = document.getElementById('reset-mirror-folder');
+  const mirrorFolderPickerContainer = document.getElementById('mirror-folder-picker');
+  const encryptUploadsInput = document.getElementById('encrypt-uploads');
+  const encryptionKeyTypeSelect = document.getElementById('encryption-key-type');
+  const passphraseGroup = document.getElementById('passphrase-group');
+  const passphraseInput = document.getElementById('encryption-passphrase');
+  const passphraseConfirmInput = document.getElementById('encryption-passphrase-confirm');
+  const setPassphraseButton = document.getElementById('set-passphrase');
+  const forgetPassphraseButton = document.getElementById('forget-passphrase');
+  const passphraseStatus = document.getElementById('passphrase-status');
+  const storedKeyGroup = document.getElementById('stored-key-group');
+  const keyInput = document.getElementById('encryption-key');
+  const importKeyButton = document.getElementById('import-key');
+  const generateKeyButton = document.getElementById('generate-key');
+  const copyKeyButton = document.getElementById('copy-key');
+  const storedKeyStatus = document.getElementById('stored-key-status');
+  const historyRetentionDaysInput = document.getElementById('history-retention-days');
+  const historyMaxEntriesInput = document.getElementById('history-max-entries');
   const clearDataButton = document.getElementById('clear-data');
   const saveButton = document.getElementById('save-button');
   const cancelButton = document.getElementById('cancel-button');
   
+  let defaultFolder = null;
+  let mirrorFolder = null;
+  const encryptionKeys = new EncryptionKeys();
+  // Setting overrides of each signed-in account, read back on save
+  let accountForms = [];
+  
+  const folderPicker = new FolderPicker(defaultFolderPickerContainer, {
+    onSelect: setDefaultFolder
+  });
+  
+  const mirrorFolderPicker = new FolderPicker(mirrorFolderPickerContainer, {
+    onSelect: setMirrorFolder
+  });
+  
   // Load saved settings
+  showProviders();
   loadSettings();
+  loadAccounts();
+  showKeyStatus();
+  
+  // Folders belong to one service, so switching services resets the folder
+  defaultProviderSelect.addEventListener('change', function() {
+    folderPicker.setProvider(defaultProviderSelect.value);
+    folderPicker.close();
+    setDefaultFolder(null);
+    mirrorFolderPicker.setProvider(defaultProviderSelect.value);
+    mirrorFolderPicker.close();
+    setMirrorFolder(null);
+  });
+  
+  // Handle default folder buttons
+  chooseDefaultFolderButton.addEventListener('click', function() {
+    folderPicker.open(defaultFolder ? defaultFolder.id : null);
+  });
+  
+  resetDefaultFolderButton.addEventListener('click', function() {
+    setDefaultFolder(null);
+  });
+  
+  chooseMirrorFolderButton.addEventListener('click', function() {
+    mirrorFolderPicker.open(mirrorFolder ? mirrorFolder.id : null);
+  });
+  
+  resetMirrorFolderButton.addEventListener('click', function() {
+    setMirrorFolder(null);
+  });
+  
+  // Mirroring fetches downloads again, so it needs access to every site.
+  // The browser only asks while handling the click.
+  mirrorDownloadsInput.addEventListener('change', function() {
+    if (!mirrorDownloadsInput.checked) return;
+    
+    browserAPI.permissions.request({ origins: ['<all_urls>'] }).then(granted => {
+      mirrorDownloadsInput.checked = granted;
+    }).catch(error => {
+      console.error('Error requesting site access:', error);
+      mirrorDownloadsInput.checked = false;
+    });
+  });
+  
+  // Show the names the template gives while it is typed
+  namingTemplateInput.addEventListener('input', showNamingTemplatePreview);
+  
+  // Passphrases and keys take effect right away, apart from the settings
+  encryptionKeyTypeSelect.addEventListener('change', showKeyType);
+  
+  // A mistyped passphrase would lock the files it encrypts, so it is typed twice
+  setPassphraseButton.addEventListener('click', function() {
+    if (passphraseInput.value !== passphraseConfirmInput.value) {
+      alert('The passphrases do not match.');
+      return;
+    }
+    encryptionKeys.setPassphrase(passphraseInput.value).then(() => {
+      passphraseInput.value = '';
+      passphraseConfirmInput.value = '';
+      showKeyStatus();
+    }).catch(error => alert(`Failed to set the passphrase: ${error.message}`));
+  });
+  
+  forgetPassphraseButton.addEventListener('click', function() {
+    encryptionKeys.forgetPassphrase()
+      .then(showKeyStatus)
+      .catch(error => alert(`Failed to forget the passphrase: ${error.message}`));
+  });
+  
+  generateKeyButton.addEventListener('click', async function() {
+    if (await encryptionKeys.getStoredKey() &&
+        !confirm('Replace the stored key? Files encrypted with it can only be opened if you have a copy of it.')) {
+      return;
+    }
+    encryptionKeys.generateKey()
+      .then(showKeyStatus)
+      .catch(error => alert(`Failed to create a key: ${error.message}`));
+  });
+  
+  importKeyButton.addEventListener('click', function() {
+    encryptionKeys.importKey(keyInput.value).then(() => {
+      keyInput.value = '';
+      showKeyStatus();
+    }).catch(error => alert(`Failed to import the key: ${error.message}`));
+  });
+  
+  copyKeyButton.addEventListener('click', function() {
+    encryptionKeys.getStoredKey()
+      .then(key => navigator.clipboard.writeText(key))
+      .then(() => alert('The key was copied to the clipboard.'))
+      .catch(error => alert(`Failed to copy the key: ${error.message}`));
+  });
   
   // Handle save button click
   saveButton.addEventListener('click', saveSettings);
   
+  // Handle add schedule rule button click
+  addScheduleRuleButton.addEventListener('click', function() {
+    addScheduleRule({ startHour: 9, endHour: 18, limit: 500 });
+  });
+  
+  addTransferWindowButton.addEventListener('click', function() {
+    addTransferWindow({ startHour: 22, endHour: 7 });
+  });
+  
   // Handle cancel button click
   cancelButton.addEventListener('click', function() {
     window.close();
   });
   
-  // Handle clear data button click
+  // Handle clear data button click. Settings, accounts and tokens stay.
   clearDataButton.addEventListener('click', function() {
     if (confirm('Are you sure you want to clear all upload data? This cannot be undone.')) {
-      browserAPI.storage.local.clear(function() {
+      // The background stops running transfers before dropping their data
+      Promise.all([
+        sendMessage({ action: 'clearUploads' }),
+        sendMessage({ action: 'clearDownloads' }),
+        sendMessage({ action: 'clearHistory' })
+      ]).then(() => {
         alert('All upload data has been cleared.');
+      }).catch(error => {
+        alert(`Failed to clear upload data: ${error.message}`);
       });
     }
   });
   
+  // Offer the services this build can sign in to
+  function showProviders() {
+    listAvailableProviders().forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = provider.name;
+      defaultProviderSelect.appendChild(option);
+    });
+    if (isAvailableProvider(DEFAULT_PROVIDER_ID)) {
+      defaultProviderSelect.value = DEFAULT_PROVIDER_ID;
+    }
+  }
+  
   // Load settings from storage
   function loadSettings() {
     browserAPI.storage.local.get(['settings'], function(result) {
       const settings = result.settings || {};
       
+      if (isAvailableProvider(settings.defaultProviderId)) {
+        defaultProviderSelect.value = settings.defaultProviderId;
+      }
+      folderPicker.setProvider(defaultProviderSelect.value);
+      mirrorFolderPicker.setProvider(defaultProviderSelect.value);
+      
+      if (settings.mirrorFolderId) {
+        setMirrorFolder({
+          id: settings.mirrorFolderId,
+          name: settings.mirrorFolderName || settings.mirrorFolderId
+        });
+      }
+      
       if (settings.defaultFolderId) {
-        defaultFolderInput.value = settings.defaultFolderId;
+        setDefaultFolder({
+          id: settings.defaultFolderId,
+          name: settings.defaultFolderName || settings.defaultFolderId
+        });
       }
       
       if (settings.chunkSize) {
         chunkSizeSelect.value = settings.chunkSize;
       }
+      
+      if (typeof settings.adaptiveChunkSize === 'boolean') {
+        adaptiveChunkSizeInput.checked = settings.adaptiveChunkSize;
+      }
+      
+      if (settings.maxConcurrentUploads) {
+        maxConcurrentUploadsInput.value = settings.maxConcurrentUploads;
+      }
+      
+      if (settings.conflictPolicy) {
+        conflictPolicySelect.value = settings.conflictPolicy;
+      }
+      
+      if (isNamingTemplate(settings.namingTemplate)) {
+        namingTemplateInput.value = settings.namingTemplate;
+      }
+      showNamingTemplatePreview();
+      
+      if (settings.maxRetryAttempts) {
+        maxRetryAttemptsInput.value = settings.maxRetryAttempts;
+      }
+      
+      if (settings.retryBaseDelay) {
+        retryBaseDelayInput.value = settings.retryBaseDelay / 1000;
+      }
+      
+      if (settings.retryMaxDelay) {
+        retryMaxDelayInput.value = settings.retryMaxDelay / 1000;
+      }
+      
+      if (settings.globalBandwidthLimit) {
+        globalBandwidthLimitInput.value = settings.globalBandwidthLimit;
+      }
+      
+      if (settings.perUploadBandwidthLimit) {
+        perUploadBandwidthLimitInput.value = settings.perUploadBandwidthLimit;
+      }
+      
+      (settings.bandwidthSchedule || []).forEach(addScheduleRule);
+      (settings.transferWindows || []).forEach(addTransferWindow);
+      
+      if (settings.encryptionKeyType) {
+        encryptionKeyTypeSelect.value = settings.encryptionKeyType;
+      }
+      showKeyType();
+      
+      if (typeof settings.historyRetentionDays === 'number') {
+        historyRetentionDaysInput.value = settings.historyRetentionDays;
+      }
+      
+      if (typeof settings.historyMaxEntries === 'number') {
+        historyMaxEntriesInput.value = settings.historyMaxEntries;
+      }
+      
+      [
+        [notifyOnCompleteInput, settings.notifyOnComplete],
+        [notifyOnErrorInput, settings.notifyOnError],
+        [notifyOnInterruptedInput, settings.notifyOnInterrupted],
+        [notifyOnAuthRequiredInput, settings.notifyOnAuthRequired],
+        [summarizeBatchNotificationsInput, settings.summarizeBatchNotifications],
+        [mirrorDownloadsInput, settings.mirrorDownloads],
+        [encryptUploadsInput, settings.encryptUploads],
+        [onlyWhenIdleInput, settings.onlyWhenIdle]
+      ].forEach(([input, value]) => {
+        if (typeof value === 'boolean') {
+          input.checked = value;
+        }
+      });
+    });
+  }
+  
+  // Show a form with the setting overrides of each signed-in account
+  function loadAccounts() {
+    sendMessage({ action: 'getAccounts' }).then(({ accounts }) => {
+      accountList.innerHTML = '';
+      accountForms = accounts.map(addAccountForm);
+      if (accounts.length === 0) {
+        accountList.innerHTML = '<p class="help-text">No accounts are signed in</p>';
+      }
+    }).catch(error => {
+      console.error('Error loading accounts:', error);
     });
   }
   
+  // Add the override form of one account. Empty values use the settings above.
+  function addAccountForm(account) {
+    const settings = account.settings || {};
+    const element = document.createElement('div');
+    element.className = 'account';
+    element.innerHTML = `
+      <div class="account-name"><span></span> <span class="account-provider"></span></div>
+      <div class="folder-field">
+        <span class="folder-name">Default folder above</span>
+        <button class="secondary-button account-choose-folder">Choose…</button>
+        <button class="secondary-button account-reset-folder">Reset</button>
+      </div>
+      <div class="account-folder-picker" hidden></div>
+      <div class="account-chunk-settings">
+        <select class="account-chunk-size">
+          <option value="">Chunk size above</option>
+          ${Array.from(chunkSizeSelect.options).map(option =>
+            `<option value="${option.value}">${option.textContent}</option>`).join('')}
+        </select>
+        <select class="account-adaptive-chunk-size">
+          <option value="">Adaptive chunks as above</option>
+          <option value="true">Adapt chunk size</option>
+          <option value="false">Fixed chunk size</option>
+        </select>
+      </div>
+    `;
+    
+    const [nameElement, providerElement] = element.querySelectorAll('.account-name span');
+    nameElement.textContent = account.name;
+    providerElement.textContent = account.providerName;
+    
+    const form = { account, folder: null };
+    const folderName = element.querySelector('.folder-name');
+    const setFolder = function(folder) {
+      form.folder = folder && folder.id !== 'root' ? folder : null;
+      folderName.textContent = form.folder ? form.folder.name : 'Default folder above';
+      folderName.title = form.folder ? form.folder.id : '';
+    };
+    if (settings.defaultFolderId) {
+      setFolder({ id: settings.defaultFolderId, name: settings.defaultFolderName || settings.defaultFolderId });
+    }
+    
+    const picker = new FolderPicker(element.querySelector('.account-folder-picker'), {
+      onSelect: setFolder,
+      providerId: account.providerId,
+      accountId: account.id
+    });
+    element.querySelector('.account-choose-folder').addEventListener('click', function() {
+      picker.open(form.folder ? form.folder.id : null);
+    });
+    element.querySelector('.account-reset-folder').addEventListener('click', function() {
+      setFolder(null);
+    });
+    
+    form.chunkSizeSelect = element.querySelector('.account-chunk-size');
+    form.chunkSizeSelect.value = settings.chunkSize ? String(settings.chunkSize) : '';
+    form.adaptiveSelect = element.querySelector('.account-adaptive-chunk-size');
+    form.adaptiveSelect.value = typeof settings.adaptiveChunkSize === 'boolean' ? String(settings.adaptiveChunkSize) : '';
+    
+    accountList.appendChild(element);
+    return form;
+  }
+  
+  // Save the overrides of every account through the background, which owns
+  // the account list
+  function saveAccountSettings() {
+    return Promise.all(accountForms.map(form => sendMessage({
+      action: 'updateAccount',
+      providerId: form.account.providerId,
+      accountId: form.account.id,
+      settings: {
+        defaultFolderId: form.folder ? form.folder.id : null,
+        defaultFolderName: form.folder ? form.folder.name : null,
+        chunkSize: form.chunkSizeSelect.value ? parseInt(form.chunkSizeSelect.value, 10) : null,
+        adaptiveChunkSize: form.adaptiveSelect.value ? form.adaptiveSelect.value === 'true' : null
+      }
+    })));
+  }
+  
+  // Show the chosen default folder; null means My Drive
+  function setDefaultFolder(folder) {
+    defaultFolder = folder && folder.id !== 'root' ? folder : null;
+    defaultFolderName.textContent = defaultFolder ? defaultFolder.name : 'My Drive';
+    defaultFolderName.title = defaultFolder ? defaultFolder.id : '';
+  }
+  
+  // Show the folder downloads are mirrored to; null means the default folder
+  function setMirrorFolder(folder) {
+    mirrorFolder = folder && folder.id !== 'root' ? folder : null;
+    mirrorFolderName.textContent = mirrorFolder ? mirrorFolder.name : 'Default folder';
+    mirrorFolderName.title = mirrorFolder ? mirrorFolder.id : '';
+  }
+  
+  // Show the controls of the chosen kind of encryption key
+  function showKeyType() {
+    const passphrase = encryptionKeyTypeSelect.value === EncryptionKeyType.PASSPHRASE;
+    passphraseGroup.hidden = !passphrase;
+    storedKeyGroup.hidden = passphrase;
+  }
+  
+  // Show whether a passphrase and a stored key are set
+  async function showKeyStatus() {
+    const hasPassphrase = await encryptionKeys.hasSecret(EncryptionKeyType.PASSPHRASE);
+    passphraseStatus.textContent = hasPassphrase
+      ? 'A passphrase is set for this browser session'
+      : 'No passphrase is set';
+    forgetPassphraseButton.disabled = !hasPassphrase;
+    
+    const hasKey = await encryptionKeys.hasSecret(EncryptionKeyType.STORED);
+    storedKeyStatus.textContent = hasKey ? 'A key is stored in this browser' : 'No key is stored';
+    copyKeyButton.disabled = !hasKey;
+  }
+  
+  // Add a time-of-day bandwidth rule row
+  function addScheduleRule(rule) {
+    const row = document.createElement('div');
+    row.className = 'schedule-rule';
+    row.innerHTML = `
+      <span>From</span>
+      <select class="rule-start">${hourOptions(rule.startHour)}</select>
+      <span>to</span>
+      <select class="rule-end">${hourOptions(rule.endHour)}</select>
+      <input type="number" class="rule-limit" min="0" value="${rule.limit}">
+      <span>KB/s</span>
+      <button class="secondary-button rule-remove">Remove</button>
+    `;
+    
+    row.querySelector('.rule-remove').addEventListener('click', function() {
+      row.remove();
+    });
+    
+    bandwidthScheduleContainer.appendChild(row);
+  }
+  
+  // Add a row for a window of hours uploads may run in
+  function addTransferWindow(window) {
+    const row = document.createElement('div');
+    row.className = 'schedule-rule';
+    row.innerHTML = `
+      <span>From</span>
+      <select class="window-start">${hourOptions(window.startHour)}</select>
+      <span>to</span>
+      <select class="window-end">${hourOptions(window.endHour)}</select>
+      <button class="secondary-button window-remove">Remove</button>
+    `;
+    
+    row.querySelector('.window-remove').addEventListener('click', function() {
+      row.remove();
+    });
+    
+    transferWindowsContainer.appendChild(row);
+  }
+  
+  // Build the <option> list for an hour select
+  function hourOptions(selectedHour) {
+    let options = '';
+    for (let hour = 0; hour < 24; hour++) {
+      const label = `${String(hour).padStart(2, '0')}:00`;
+      options += `<option value="${hour}"${hour === selectedHour ? ' selected' : ''}>${label}</option>`;
+    }
+    return options;
+  }
+  
+  // Read the bandwidth rules from the form
+  function readScheduleRules() {
+    return Array.from(bandwidthScheduleContainer.querySelectorAll('.schedule-rule')).map(row => ({
+      startHour: parseInt(row.querySelector('.rule-start').value, 10),
+      endHour: parseInt(row.querySelector('.rule-end').value, 10),
+      limit: parseInt(row.querySelector('.rule-limit').value, 10) || 0
+    }));
+  }
+  
+  // Read the windows uploads may run in from the form
+  function readTransferWindows() {
+    return Array.from(transferWindowsContainer.querySelectorAll('.schedule-rule')).map(row => ({
+      startHour: parseInt(row.querySelector('.window-start').value, 10),
+      endHour: parseInt(row.querySelector('.window-end').value, 10)
+    }));
+  }
+  
+  // Show what a file in an uploaded folder would be named
+  function showNamingTemplatePreview() {
+    const template = namingTemplateInput.value.trim();
+    namingTemplatePreview.textContent = isNamingTemplate(template)
+      ? `Example: ${applyNamingTemplate(template, { name: 'report.pdf', path: 'Projects/2024' })}`
+      : 'The template must contain {name} or {base}';
+  }
+  
   // Save settings to storage
   function saveSettings() {
+    const namingTemplate = namingTemplateInput.value.trim() || DEFAULT_NAMING_TEMPLATE;
+    if (!isNamingTemplate(namingTemplate)) {
+      alert('The naming template must contain {name} or {base}.');
+      return;
+    }
+    
     const settings = {
-      defaultFolderId: defaultFolderInput.value.trim() || null,
-      chunkSize: parseInt(chunkSizeSelect.value, 10)
+      defaultProviderId: defaultProviderSelect.value,
+      defaultFolderId: defaultFolder ? defaultFolder.id : null,
+      defaultFolderName: defaultFolder ? defaultFolder.name : null,
+      chunkSize: parseInt(chunkSizeSelect.value, 10),
+      adaptiveChunkSize: adaptiveChunkSizeInput.checked,
+      maxConcurrentUploads: parseInt(maxConcurrentUploadsInput.value, 10) || undefined,
+      conflictPolicy: conflictPolicySelect.value,
+      namingTemplate: namingTemplate,
+      maxRetryAttempts: parseInt(maxRetryAttemptsInput.value, 10) || undefined,
+      retryBaseDelay: Math.round(parseFloat(retryBaseDelayInput.value) * 1000) || undefined,
+      retryMaxDelay: Math.round(parseFloat(retryMaxDelayInput.value) * 1000) || undefined,
+      globalBandwidthLimit: parseInt(globalBandwidthLimitInput.value, 10) || 0,
+      perUploadBandwidthLimit: parseInt(perUploadBandwidthLimitInput.value, 10) || 0,
+      bandwidthSchedule: readScheduleRules(),
+      transferWindows: readTransferWindows(),
+      onlyWhenIdle: onlyWhenIdleInput.checked,
+      notifyOnComplete: notifyOnCompleteInput.checked,
+      notifyOnError: notifyOnErrorInput.checked,
+      notifyOnInterrupted: notifyOnInterruptedInput.checked,
+      notifyOnAuthRequired: notifyOnAuthRequiredInput.checked,
+      summarizeBatchNotifications: summarizeBatchNotificationsInput.checked,
+      mirrorDownloads: mirrorDownloadsInput.checked,
+      mirrorFolderId: mirrorFolder ? mirrorFolder.id : null,
+      mirrorFolderName: mirrorFolder ? mirrorFolder.name : null,
+      encryptUploads: encryptUploadsInput.checked,
+      encryptionKeyType: encryptionKeyTypeSelect.value,
+      historyRetentionDays: parseInt(historyRetentionDaysInput.value, 10),
+      historyMaxEntries: parseInt(historyMaxEntriesInput.value, 10)
     };
     
     browserAPI.storage.local.set({ settings: settings }, function() {
-      alert('Settings saved successfully.');
-      window.close();
+      saveAccountSettings().then(() => {
+        alert('Settings saved successfully.');
+        window.close();
+      }).catch(error => {
+        alert(`Failed to save account settings: ${error.message}`);
+      });
     });
   }
 });
\ No newline at end of file
@@ -1,56 +1,182 @@
+import { startUploads as startEntryUploads, groupEntries } from '../lib/upload-client.js';
+import { readFileList, readDataTransfer } from '../lib/directory-reader.js';
+import { FolderPicker } from '../components/folder-picker.js';
+import { PROGRESS_PORT_NAME } from '../lib/progress-stream.js';
+import { requestUrlAccess } from '../lib/remote-source.js';
+import { describeWaitReason } from '../lib/transfer-conditions.js';
+import { sendMessage } from '../lib/messaging.js';
+import { DEFAULT_PROVIDER_ID } from '../lib/providers/index.js';
+import {
+  DEFAULT_NAMING_TEMPLATE,
+  isNamingTemplate,
+  applyNamingTemplate,
+  getConversionType,
+  describeConversion,
+  parseProperties
+} from '../lib/upload-metadata.js';
+
 // Cross-browser compatibility
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
 document.addEventListener('DOMContentLoaded', function() {
-  const authButton = document.getElementById('auth-button');
+  const accountSelect = document.getElementById('account-select');
+  const addAccountButton = document.getElementById('add-account');
+  const signOutButton = document.getElementById('sign-out');
   const optionsButton = document.getElementById('options-button');
+  const managerButton = document.getElementById('manager-button');
+  const historyButton = document.getElementById('history-button');
   const selectFilesButton = document.getElementById('select-files');
   const fileInput = document.getElementById('file-input');
+  const selectFolderButton = document.getElementById('select-folder');
+  const folderInput = document.getElementById('folder-input');
+  const uploadSection = document.getElementById('upload-section');
   const uploadsContainer = document.getElementById('uploads-container');
   const selectedFilesContainer = document.getElementById('selected-files');
+  const bandwidthLimitElement = document.getElementById('bandwidth-limit');
+  const downloadInput = document.getElementById('download-input');
+  const downloadButton = document.getElementById('download-button');
+  const urlInput = document.getElementById('url-input');
+  const urlUploadButton = document.getElementById('url-upload-button');
+  const destinationName = document.getElementById('destination-name');
+  const changeDestinationButton = document.getElementById('change-destination');
+  const folderPickerContainer = document.getElementById('folder-picker');
+  const conflictPolicySelect = document.getElementById('conflict-policy');
+  const startAtInput = document.getElementById('start-at');
   
   let isAuthenticated = false;
+  // Storage service uploads go to, its signed-in accounts and the one chosen
+  let providerId = null;
+  let providerName = 'Google Drive';
+  // Whether this build can sign in to another account
+  let canAddAccount = true;
+  // Whether the service takes a description, star, properties and conversion
+  let supportsFileDetails = false;
+  let accounts = [];
+  let selectedAccountId = null;
+  // Selected files as { file, relativePath } entries. Loose files also get
+  // the details typed for them in their editor.
   let selectedFiles = [];
+  let namingTemplate = DEFAULT_NAMING_TEMPLATE;
+  let selectedFolder = null;
+  // Transfers and their throughput stats, kept current by the progress stream
+  const transfers = new Map();
+  const transferStats = new Map();
+  let progressPort = null;
+  
+  const folderPicker = new FolderPicker(folderPickerContainer, {
+    onSelect: function(folder) {
+      selectedFolder = folder;
+      destinationName.textContent = folder.name;
+      destinationName.title = folder.id;
+    }
+  });
   
   // Initialize the UI
   init();
   
-  // Check authentication status
-  function checkAuthStatus() {
-    browserAPI.identity.getAuthToken({ interactive: false }, function(token) {
-      isAuthenticated = !!token;
-      updateAuthUI();
+  // Load the signed-in accounts of the default storage service and pick the
+  // one chosen last time
+  function checkAuthStatus(preferredAccountId = null) {
+    browserAPI.runtime.sendMessage({ action: 'getAuthStatus' }, function(status) {
+      if (!status || status.error) return;
       
-      if (isAuthenticated) {
-        loadUploads();
-      }
+      providerId = status.providerId;
+      providerName = status.providerName;
+      canAddAccount = status.canAddAccount;
+      supportsFileDetails = status.supportsFileDetails;
+      accounts = status.accounts;
+      isAuthenticated = accounts.length > 0;
+      
+      browserAPI.storage.local.get(['selectedAccount'], function(data) {
+        const saved = data.selectedAccount;
+        const savedAccountId = saved && saved.providerId === providerId ? saved.accountId : null;
+        const candidate = preferredAccountId || savedAccountId;
+        const account = accounts.find(account => account.id === candidate) || accounts[0];
+        selectAccount(account ? account.id : null);
+        updateAuthUI();
+        displaySelectedFiles();
+        
+        if (isAuthenticated) {
+          loadTransfers();
+        }
+      });
     });
   }
   
+  // Send uploads to an account from now on
+  function selectAccount(accountId) {
+    if (accountId !== selectedAccountId) {
+      // Folders of one account mean nothing to another
+      selectedFolder = null;
+      destinationName.textContent = 'Default folder';
+      destinationName.title = '';
+    }
+    selectedAccountId = accountId;
+    folderPicker.setProvider(providerId, accountId);
+    
+    if (accountId) {
+      browserAPI.storage.local.set({ selectedAccount: { providerId, accountId } });
+    }
+  }
+  
   // Update authentication UI
   function updateAuthUI() {
-    if (isAuthenticated) {
-      authButton.textContent = 'Signed in';
-      authButton.disabled = true;
-      selectFilesButton.disabled = false;
-    } else {
-      authButton.textContent = 'Sign in with Google';
-      authButton.disabled = false;
-      selectFilesButton.disabled = true;
-    }
+    accountSelect.innerHTML = '';
+    accounts.forEach(account => {
+      const option = document.createElement('option');
+      option.value = account.id;
+      option.textContent = account.signedIn ? account.name : `${account.name} (signed out)`;
+      accountSelect.appendChild(option);
+    });
+    accountSelect.value = selectedAccountId || '';
+    accountSelect.title = `Account on ${providerName} that uploads go to`;
+    
+    accountSelect.hidden = !isAuthenticated;
+    signOutButton.hidden = !isAuthenticated;
+    signOutButton.disabled = false;
+    addAccountButton.disabled = !canAddAccount;
+    addAccountButton.textContent = isAuthenticated ? 'Add account' : `Sign in to ${providerName}`;
+    addAccountButton.title = canAddAccount ? '' : `Sign-in to ${providerName} is not set up in this build`;
+    // Without sign-in there is nothing to offer besides the accounts in use
+    addAccountButton.hidden = !canAddAccount && isAuthenticated;
+    
+    selectFilesButton.disabled = !isAuthenticated;
+    selectFolderButton.disabled = !isAuthenticated;
+    downloadButton.disabled = !isAuthenticated;
+    urlUploadButton.disabled = !isAuthenticated;
+    changeDestinationButton.disabled = !isAuthenticated;
   }
   
-  // Handle authentication
-  authButton.addEventListener('click', function() {
-    browserAPI.identity.getAuthToken({ interactive: true }, function(token) {
-      if (browserAPI.runtime.lastError) {
-        console.error('Auth error:', browserAPI.runtime.lastError);
-        authButton.textContent = 'Sign in failed. Try again.';
+  accountSelect.addEventListener('change', function() {
+    selectAccount(accountSelect.value);
+  });
+  
+  // Sign in to another account
+  addAccountButton.addEventListener('click', function() {
+    addAccountButton.disabled = true;
+    browserAPI.runtime.sendMessage({ action: 'addAccount', providerId }, function(response) {
+      if (!response || response.error || !response.account) {
+        console.error('Auth error:', response && response.error);
+        addAccountButton.disabled = false;
+        addAccountButton.textContent = 'Sign in failed. Try again.';
       } else {
-        isAuthenticated = true;
-        updateAuthUI();
-        loadUploads();
+        checkAuthStatus(response.account.id);
+      }
+    });
+  });
+  
+  // Revoke access to the selected account
+  signOutButton.addEventListener('click', function() {
+    const account = accounts.find(account => account.id === selectedAccountId);
+    if (!account) return;
+    if (!confirm(`Sign out of ${account.name}? Its running uploads stop until you sign in again.`)) return;
+    
+    signOutButton.disabled = true;
+    browserAPI.runtime.sendMessage({ action: 'signOut', providerId, accountId: account.id }, function(response) {
+      if (!response || response.error) {
+        console.error('Sign-out error:', response && response.error);
       }
+      checkAuthStatus();
     });
   });
   
@@ -59,25 +185,90 @@ document.addEventListener('DOMContentLoaded', function() {
     browserAPI.runtime.openOptionsPage();
   });
   
+  // Open the full-tab transfer manager, which keeps files alive while they are
+  // picked or dropped, unlike the popup
+  managerButton.addEventListener('click', function() {
+    browserAPI.tabs.create({ url: browserAPI.runtime.getURL('manager/manager.html') });
+    window.close();
+  });
+  
+  // Finished, failed and cancelled transfers are listed on the history page
+  historyButton.addEventListener('click', function() {
+    browserAPI.tabs.create({ url: browserAPI.runtime.getURL('history/history.html') });
+    window.close();
+  });
+  
   // Handle file selection
   selectFilesButton.addEventListener('click', function() {
     fileInput.click();
   });
   
+  // Handle folder selection
+  selectFolderButton.addEventListener('click', function() {
+    folderInput.click();
+  });
+  
+  // Choose the Drive folder to upload into
+  changeDestinationButton.addEventListener('click', function() {
+    folderPicker.open(selectedFolder ? selectedFolder.id : null);
+  });
+  
+  // Handle download from Drive
+  downloadButton.addEventListener('click', startDownload);
+  
+  // Handle upload from a web link
+  urlUploadButton.addEventListener('click', startUrlUpload);
+  
   fileInput.addEventListener('change', function(e) {
-    selectedFiles = Array.from(e.target.files);
+    selectedFiles = selectedFiles.concat(readFileList(e.target.files));
+    displaySelectedFiles();
+  });
+  
+  folderInput.addEventListener('change', function(e) {
+    selectedFiles = selectedFiles.concat(readFileList(e.target.files));
     displaySelectedFiles();
   });
   
-  // Display selected files
+  // Handle files and folders dropped on the upload section
+  uploadSection.addEventListener('dragover', function(e) {
+    if (!isAuthenticated) return;
+    e.preventDefault();
+    uploadSection.classList.add('drag-over');
+  });
+  
+  uploadSection.addEventListener('dragleave', function() {
+    uploadSection.classList.remove('drag-over');
+  });
+  
+  uploadSection.addEventListener('drop', function(e) {
+    e.preventDefault();
+    uploadSection.classList.remove('drag-over');
+    if (!isAuthenticated) return;
+    
+    readDataTransfer(e.dataTransfer).then(entries => {
+      selectedFiles = selectedFiles.concat(entries);
+      displaySelectedFiles();
+    }).catch(error => {
+      console.error('Error reading dropped files:', error);
+    });
+  });
+  
+  // Display selected files, summarizing each selected folder on one line
   function displaySelectedFiles() {
     selectedFilesContainer.innerHTML = '';
     
-    selectedFiles.forEach(file => {
-      const fileElement = document.createElement('div');
-      fileElement.className = 'selected-file';
-      fileElement.textContent = `${file.name} (${formatFileSize(file.size)})`;
-      selectedFilesContainer.appendChild(fileElement);
+    const { files, directories } = groupEntries(selectedFiles);
+    
+    files.forEach(entry => {
+      selectedFilesContainer.appendChild(createSelectedFileElement(entry));
+    });
+    
+    directories.forEach((entries, name) => {
+      const totalSize = entries.reduce((sum, entry) => sum + entry.file.size, 0);
+      const folderElement = document.createElement('div');
+      folderElement.className = 'selected-file';
+      folderElement.textContent = `${name}/ (${entries.length} files, ${formatFileSize(totalSize)})`;
+      selectedFilesContainer.appendChild(folderElement);
     });
     
     // Add upload button if files are selected
@@ -90,60 +281,425 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
   
-  // Start uploading selected files
+  // Create a selected file with an editor for the name it gets and, where the
+  // service supports them, the details it is uploaded with
+  function createSelectedFileElement(entry) {
+    const file = entry.file;
+    if (!entry.details) {
+      entry.details = { name: '', description: '', starred: false, properties: '', convert: false };
+    }
+    const details = entry.details;
+    const conversion = getConversionType(file);
+    
+    const element = document.createElement('div');
+    element.className = 'selected-file';
+    element.innerHTML = `
+      <div class="selected-file-header">
+        <span class="selected-file-name"></span>
+        <button class="control-button edit-btn">Edit</button>
+      </div>
+      <div class="file-details" hidden>
+        <input type="text" class="detail-name" title="Name on ${providerName}">
+        <div class="drive-details">
+          <textarea class="detail-description" rows="2" placeholder="Description"></textarea>
+          <textarea class="detail-properties" rows="2" placeholder="Properties, one key=value per line"></textarea>
+          <label><input type="checkbox" class="detail-starred"> Star</label>
+          <label class="detail-convert-label"><input type="checkbox" class="detail-convert"> Convert to ${describeConversion(conversion)}</label>
+        </div>
+      </div>
+    `;
+    
+    const nameLabel = element.querySelector('.selected-file-name');
+    const editor = element.querySelector('.file-details');
+    const nameInput = element.querySelector('.detail-name');
+    const descriptionInput = element.querySelector('.detail-description');
+    const propertiesInput = element.querySelector('.detail-properties');
+    const starredInput = element.querySelector('.detail-starred');
+    const convertInput = element.querySelector('.detail-convert');
+    
+    function updateName() {
+      nameLabel.textContent = `${details.name.trim() || getTemplatedName(file)} (${formatFileSize(file.size)})`;
+    }
+    updateName();
+    
+    editor.hidden = !entry.editing;
+    element.querySelector('.drive-details').hidden = !supportsFileDetails;
+    element.querySelector('.detail-convert-label').hidden = !conversion;
+    nameInput.placeholder = getTemplatedName(file);
+    nameInput.value = details.name;
+    descriptionInput.value = details.description;
+    propertiesInput.value = details.properties;
+    starredInput.checked = details.starred;
+    convertInput.checked = details.convert;
+    
+    element.querySelector('.edit-btn').addEventListener('click', function() {
+      entry.editing = editor.hidden;
+      editor.hidden = !entry.editing;
+    });
+    nameInput.addEventListener('input', function() {
+      details.name = nameInput.value;
+      updateName();
+    });
+    descriptionInput.addEventListener('input', function() {
+      details.description = descriptionInput.value;
+    });
+    propertiesInput.addEventListener('input', function() {
+      details.properties = propertiesInput.value;
+    });
+    starredInput.addEventListener('change', function() {
+      details.starred = starredInput.checked;
+    });
+    convertInput.addEventListener('change', function() {
+      details.convert = convertInput.checked;
+    });
+    
+    return element;
+  }
+  
+  // The name a file gets from the naming template
+  function getTemplatedName(file) {
+    return applyNamingTemplate(namingTemplate, { name: file.name });
+  }
+  
+  // Turn the details typed for a file into the metadata sent with its upload.
+  // Throws if its properties cannot be read.
+  function readMetadata(details) {
+    return {
+      name: details.name.trim() || null,
+      description: supportsFileDetails ? details.description : null,
+      starred: supportsFileDetails && details.starred,
+      properties: supportsFileDetails ? parseProperties(details.properties) : {},
+      convert: supportsFileDetails && details.convert
+    };
+  }
+  
+  // Start uploading selected files and folders
   function startUploads() {
-    selectedFiles.forEach(file => {
-      browserAPI.runtime.sendMessage(
-        { 
-          action: 'startUpload', 
-          file: {
-            name: file.name,
-            size: file.size,
-            type: file.type,
-            lastModified: file.lastModified
-          }
-        },
-        function(response) {
-          if (response.error) {
-            console.error('Upload error:', response.error);
-            alert(`Failed to start upload: ${response.error}`);
-          } else {
-            // Upload started successfully
-            loadUploads();
-          }
-        }
-      );
+    const errors = [];
+    selectedFiles.forEach(entry => {
+      try {
+        entry.metadata = entry.details ? readMetadata(entry.details) : null;
+      } catch (error) {
+        errors.push(`${entry.file.name}: ${error.message}`);
+      }
+    });
+    if (errors.length > 0) {
+      alert(errors.join('\n'));
+      return;
+    }
+    
+    startEntryUploads(selectedFiles, {
+      folderId: selectedFolder ? selectedFolder.id : null,
+      providerId: providerId,
+      accountId: selectedAccountId,
+      conflictPolicy: conflictPolicySelect.value || null,
+      startAt: readStartAt()
+    }).then(errors => {
+      if (errors.length > 0) {
+        console.error('Upload errors:', errors);
+        alert(`Failed to start upload:\n${errors.join('\n')}`);
+      }
+      loadTransfers();
     });
     
     // Clear selection
     selectedFiles = [];
     fileInput.value = '';
+    folderInput.value = '';
     displaySelectedFiles();
   }
   
-  // Load and display active uploads
-  function loadUploads() {
+  // Connect to the background's progress stream
+  function connectProgressStream() {
+    progressPort = browserAPI.runtime.connect({ name: PROGRESS_PORT_NAME });
+    progressPort.onMessage.addListener(handleProgressMessage);
+    progressPort.onDisconnect.addListener(function() {
+      // The background was stopped; reconnecting starts it again
+      progressPort = null;
+      setTimeout(connectProgressStream, 1000);
+    });
+  }
+  
+  // Apply a snapshot or a single change from the progress stream
+  function handleProgressMessage(message) {
+    if (message.type === 'snapshot') {
+      transfers.clear();
+      transferStats.clear();
+      message.transfers.forEach(transfer => {
+        transfers.set(transfer.id, transfer);
+        transferStats.set(transfer.id, message.stats[transfer.id]);
+      });
+    } else if (message.type === 'update') {
+      // Uploads of a batch are shown through the batch itself
+      if (message.transfer.batchId) return;
+      transfers.set(message.transfer.id, message.transfer);
+      transferStats.set(message.transfer.id, message.stats);
+    } else if (message.type === 'remove') {
+      if (!transfers.has(message.id)) return;
+      transfers.delete(message.id);
+      transferStats.delete(message.id);
+    }
+    
+    const list = Array.from(transfers.values());
+    list.sort((a, b) => a.startTime - b.startTime);
+    displayTransfers(list);
+  }
+  
+  // Ask for a fresh snapshot of active uploads and downloads
+  function loadTransfers() {
+    if (progressPort) {
+      progressPort.postMessage({ type: 'refresh' });
+    }
+  }
+  
+  // Start downloading a Drive file from its ID or link
+  function startDownload() {
+    const fileId = parseDriveFileId(downloadInput.value);
+    if (!fileId) {
+      alert('Enter a Google Drive file ID or link.');
+      return;
+    }
+    
+    // Downloads come from Google Drive, with the chosen account if it is one
+    const accountId = providerId === DEFAULT_PROVIDER_ID ? selectedAccountId : null;
     browserAPI.runtime.sendMessage(
-      { action: 'getUploads' },
+      { action: 'startDownload', fileId: fileId, accountId: accountId },
       function(response) {
-        displayUploads(response);
+        if (response.error) {
+          console.error('Download error:', response.error);
+          alert(`Failed to start download: ${response.error}`);
+        } else {
+          downloadInput.value = '';
+          loadTransfers();
+        }
+      }
+    );
+  }
+  
+  // The chosen start time, or null to start right away
+  function readStartAt() {
+    const startAt = startAtInput.value ? new Date(startAtInput.value).getTime() : null;
+    return startAt && startAt > Date.now() ? startAt : null;
+  }
+  
+  // Send a file on the web straight to the chosen destination. The site must
+  // be granted, which the browser only allows in the click handler. Its
+  // prompt may close the popup, so the upload is sent first and the
+  // background starts it once access is granted.
+  function startUrlUpload() {
+    const url = urlInput.value.trim();
+    if (!/^https?:\/\/\S+$/i.test(url)) {
+      alert('Enter an http or https link.');
+      return;
+    }
+    
+    sendMessage({
+      action: 'startUrlUpload',
+      url: url,
+      folderId: selectedFolder ? selectedFolder.id : null,
+      providerId: providerId,
+      accountId: selectedAccountId,
+      conflictPolicy: conflictPolicySelect.value || null,
+      startAt: readStartAt()
+    }).then(() => {
+      urlInput.value = '';
+    }).catch(error => {
+      console.error('URL upload error:', error);
+      alert(`Failed to start upload: ${error.message}`);
+    });
+    requestUrlAccess(url).catch(error => console.error('Failed to ask for access:', error));
+  }
+  
+  // Extract a file ID from a Drive link, or accept a bare ID
+  function parseDriveFileId(value) {
+    const input = value.trim();
+    const match = input.match(/\/d\/([\w-]+)/) || input.match(/[?&]id=([\w-]+)/);
+    if (match) return match[1];
+    return /^[\w-]+$/.test(input) ? input : null;
+  }
+  
+  // Load the naming template, to show the names files will get
+  function loadNamingTemplate() {
+    browserAPI.storage.local.get(['settings'], function(data) {
+      const template = data.settings && data.settings.namingTemplate;
+      namingTemplate = isNamingTemplate(template) ? template : DEFAULT_NAMING_TEMPLATE;
+      displaySelectedFiles();
+    });
+  }
+  
+  // Load and display the bandwidth limit currently in effect
+  function loadBandwidthLimit() {
+    browserAPI.runtime.sendMessage(
+      { action: 'getBandwidthLimit' },
+      function(limit) {
+        if (!limit) return;
+        
+        const parts = [];
+        parts.push(limit.globalRate > 0 ? `${formatFileSize(limit.globalRate)}/s` : 'Unlimited');
+        if (limit.perUploadRate > 0) {
+          parts.push(`${formatFileSize(limit.perUploadRate)}/s per upload`);
+        }
+        
+        bandwidthLimitElement.textContent = `Limit: ${parts.join(', ')}${limit.scheduled ? ' (scheduled)' : ''}`;
       }
     );
   }
   
-  // Display uploads in the UI
-  function displayUploads(uploads) {
-    if (!uploads || uploads.length === 0) {
-      uploadsContainer.innerHTML = '<div class="empty-state">No active uploads</div>';
+  // Display transfers in the UI
+  function displayTransfers(transfers) {
+    if (!transfers || transfers.length === 0) {
+      uploadsContainer.innerHTML = '<div class="empty-state">No active transfers</div>';
       return;
     }
     
     uploadsContainer.innerHTML = '';
     
-    uploads.forEach(upload => {
-      const uploadElement = createUploadElement(upload);
-      uploadsContainer.appendChild(uploadElement);
+    transfers.forEach(transfer => {
+      let element;
+      if (transfer.type === 'download') {
+        element = createDownloadElement(transfer);
+      } else if (transfer.type === 'batch') {
+        element = createBatchElement(transfer);
+      } else {
+        element = createUploadElement(transfer);
+      }
+      uploadsContainer.appendChild(element);
+    });
+  }
+  
+  // Create UI element for a folder upload with aggregate progress
+  function createBatchElement(batch) {
+    const element = document.createElement('div');
+    element.className = 'upload-item';
+    element.dataset.batchId = batch.id;
+    
+    const progressPercent = batch.progress || 0;
+    const isActive = ['uploading', 'queued', 'waiting'].includes(batch.status);
+    
+    element.innerHTML = `
+      <div class="upload-header">
+        <span class="upload-name"><span class="transfer-direction">&#8593;</span> <span class="transfer-name"></span></span>
+        <span class="upload-status status-${batch.status}">${batch.status}</span>
+      </div>
+      <div class="upload-progress">
+        <div class="progress-bar" style="width: ${progressPercent}%"></div>
+      </div>
+      <div class="upload-details">
+        <span>${batch.completedFiles} / ${batch.totalFiles} files, ${formatFileSize(batch.uploadedBytes)} / ${formatFileSize(batch.totalBytes)}</span>
+        <span>${Math.round(progressPercent)}%</span>
+      </div>
+      ${batch.status === 'uploading' ? createStatsHTML(transferStats.get(batch.id)) : ''}
+      <div class="upload-controls">
+        ${isActive ? 
+          `<button class="control-button pause-btn">Pause All</button>` : 
+          `<button class="control-button resume-btn">Resume All</button>`
+        }
+        <button class="control-button cancel-btn">Cancel All</button>
+      </div>
+      ${batch.failedFiles > 0 ? `<div class="upload-error" style="color: #c5221f; font-size: 11px; margin-top: 8px;">${batch.failedFiles} file(s) failed</div>` : ''}
+      ${batch.status === 'waiting' ? createWaitHTML(batch) : ''}
+      ${batch.conflictFiles > 0 ? createConflictHTML(`${batch.conflictFiles} file(s) already exist in the destination.`) : ''}
+    `;
+    
+    setTransferText(element, `${batch.name}/`, null);
+    addConflictListeners(element, { batchId: batch.id });
+    
+    element.querySelector('.pause-btn, .resume-btn').addEventListener('click', function() {
+      sendBatchAction(isActive ? 'pauseBatch' : 'resumeBatch', batch.id);
+    });
+    
+    element.querySelector('.cancel-btn').addEventListener('click', function() {
+      if (confirm(`Are you sure you want to cancel all ${batch.totalFiles} uploads of this folder?`)) {
+        sendBatchAction('cancelBatch', batch.id);
+      }
     });
+    
+    return element;
+  }
+  
+  // Create UI element for a download
+  function createDownloadElement(download) {
+    const element = document.createElement('div');
+    element.className = 'upload-item';
+    element.dataset.downloadId = download.id;
+    
+    const progressPercent = download.progress || 0;
+    const downloadedSize = formatFileSize(download.downloadedBytes);
+    const totalSize = formatFileSize(download.file.size);
+    
+    element.innerHTML = `
+      <div class="upload-header">
+        <span class="upload-name"><span class="transfer-direction">&#8595;</span> ${createEncryptedHTML(download)}<span class="transfer-name"></span></span>
+        <span class="upload-status status-${download.status}">${download.status}</span>
+      </div>
+      <div class="upload-progress">
+        <div class="progress-bar" style="width: ${progressPercent}%"></div>
+      </div>
+      <div class="upload-details">
+        <span>${downloadedSize} / ${totalSize}</span>
+        <span>${Math.round(progressPercent)}%</span>
+      </div>
+      ${download.status === 'downloading' ? createStatsHTML(transferStats.get(download.id)) : ''}
+      <div class="upload-controls">
+        ${download.status === 'downloading' ? 
+          `<button class="control-button pause-btn">Pause</button>` : 
+          (['paused', 'interrupted', 'error'].includes(download.status) ? `<button class="control-button resume-btn">Resume</button>` : '')
+        }
+        <button class="control-button cancel-btn">Cancel</button>
+      </div>
+      ${download.error ? '<div class="upload-error" style="color: #c5221f; font-size: 11px; margin-top: 8px;">Error: <span class="error-text"></span></div>' : ''}
+    `;
+    
+    setTransferText(element, download.file.name, download.error);
+    
+    const pauseResumeBtn = element.querySelector('.pause-btn, .resume-btn');
+    if (pauseResumeBtn) {
+      pauseResumeBtn.addEventListener('click', function() {
+        const action = download.status === 'downloading' ? 'pauseDownload' : 'resumeDownload';
+        sendDownloadAction(action, download.id);
+      });
+    }
+    
+    element.querySelector('.cancel-btn').addEventListener('click', function() {
+      if (confirm('Are you sure you want to cancel this download?')) {
+        sendDownloadAction('cancelDownload', download.id);
+      }
+    });
+    
+    return element;
+  }
+  
+  // Fill in the name and error of a transfer element as text, since file
+  // names and server errors must not be read as HTML
+  function setTransferText(element, name, error) {
+    element.querySelector('.upload-name').title = name;
+    element.querySelector('.transfer-name').textContent = name;
+    if (error) {
+      element.querySelector('.error-text').textContent = error;
+    }
+  }
+  
+  // Why an upload or batch waits for the transfer conditions
+  function createWaitHTML(transfer) {
+    return `<div class="wait-reason">${describeWaitReason(transfer.waitReason, transfer.startAt)}</div>`;
+  }
+  
+  // Lock marking an encrypted upload or download
+  function createEncryptedHTML(transfer) {
+    return transfer.encryption ? '<span class="encrypted-marker" title="Encrypted">&#128274;</span> ' : '';
+  }
+  
+  // Checksums of a finished upload for the tooltip of its status badge
+  function describeChecksums(upload) {
+    if (!upload.checksums) return '';
+    
+    const lines = [`MD5: ${upload.checksums.md5}`, `SHA-256: ${upload.checksums.sha256}`];
+    if (upload.status === 'verified') {
+      lines.unshift('Matches the uploaded file');
+    } else if (upload.status === 'corrupt') {
+      lines.unshift('Does not match the uploaded file');
+    }
+    return lines.join('\n');
   }
   
   // Create UI element for an upload
@@ -158,8 +714,8 @@ document.addEventListener('DOMContentLoaded', function() {
     
     element.innerHTML = `
       <div class="upload-header">
-        <span class="upload-name" title="${upload.file.name}">${upload.file.name}</span>
-        <span class="upload-status status-${upload.status}">${upload.status}</span>
+        <span class="upload-name"><span class="transfer-direction">&#8593;</span> ${createEncryptedHTML(upload)}<span class="transfer-name"></span></span>
+        <span class="upload-status status-${upload.status}" title="${describeChecksums(upload)}">${upload.status}</span>
       </div>
       <div class="upload-progress">
         <div class="progress-bar" style="width: ${progressPercent}%"></div>
@@ -168,23 +724,38 @@ document.addEventListener('DOMContentLoaded', function() {
         <span>${uploadedSize} / ${totalSize}</span>
         <span>${Math.round(progressPercent)}%</span>
       </div>
+      ${upload.status === 'uploading' ? createStatsHTML(transferStats.get(upload.id)) : ''}
       <div class="upload-controls">
-        ${upload.status === 'uploading' ? 
+        ${['uploading', 'queued', 'waiting'].includes(upload.status) ? 
           `<button class="control-button pause-btn">Pause</button>` : 
-          `<button class="control-button resume-btn">Resume</button>`
+          (upload.status === 'conflict' ? '' : `<button class="control-button resume-btn">Resume</button>`)
+        }
+        ${upload.status === 'queued' ? 
+          `<button class="control-button move-top-btn">Move to Top</button>
+           <button class="control-button move-bottom-btn">Move to Bottom</button>` : ''
         }
         <button class="control-button cancel-btn">Cancel</button>
       </div>
-      ${upload.error ? `<div class="upload-error" style="color: #c5221f; font-size: 11px; margin-top: 8px;">Error: ${upload.error}</div>` : ''}
+      ${upload.error ? '<div class="upload-error" style="color: #c5221f; font-size: 11px; margin-top: 8px;">Error: <span class="error-text"></span></div>' : ''}
+      ${upload.status === 'waiting' ? createWaitHTML(upload) : ''}
+      ${upload.status === 'conflict' ? createConflictHTML(upload.conflict && upload.conflict.identical
+        ? 'An identical file already exists in the destination.'
+        : 'A file with this name already exists in the destination.',
+        !upload.conflict || upload.conflict.replaceable !== false) : ''}
     `;
     
+    setTransferText(element, upload.file.name, upload.error);
+    addConflictListeners(element, { uploadId: upload.id });
+    
     // Add event listeners to control buttons
     const pauseResumeBtn = element.querySelector('.pause-btn, .resume-btn');
+    const moveTopBtn = element.querySelector('.move-top-btn');
+    const moveBottomBtn = element.querySelector('.move-bottom-btn');
     const cancelBtn = element.querySelector('.cancel-btn');
     
     if (pauseResumeBtn) {
       pauseResumeBtn.addEventListener('click', function() {
-        if (upload.status === 'uploading') {
+        if (['uploading', 'queued', 'waiting'].includes(upload.status)) {
           pauseUpload(upload.id);
         } else {
           resumeUpload(upload.id);
@@ -192,6 +763,18 @@ document.addEventListener('DOMContentLoaded', function() {
       });
     }
     
+    if (moveTopBtn) {
+      moveTopBtn.addEventListener('click', function() {
+        moveUpload(upload.id, 'top');
+      });
+    }
+    
+    if (moveBottomBtn) {
+      moveBottomBtn.addEventListener('click', function() {
+        moveUpload(upload.id, 'bottom');
+      });
+    }
+    
     if (cancelBtn) {
       cancelBtn.addEventListener('click', function() {
         cancelUpload(upload.id);
@@ -201,13 +784,42 @@ document.addEventListener('DOMContentLoaded', function() {
     return element;
   }
   
+  // Message and choices for uploads waiting on a name conflict. Replace is
+  // left out when the existing file may not be edited.
+  function createConflictHTML(message, replaceable = true) {
+    return `
+      <div class="conflict-message">${message}</div>
+      <div class="upload-controls">
+        <button class="control-button conflict-btn" data-policy="skip">Skip</button>
+        <button class="control-button conflict-btn" data-policy="keepBoth">Keep both</button>
+        ${replaceable ? '<button class="control-button conflict-btn" data-policy="replace">Replace</button>' : ''}
+      </div>
+    `;
+  }
+  
+  // Send the chosen conflict policy for an upload or a whole folder
+  function addConflictListeners(element, target) {
+    element.querySelectorAll('.conflict-btn').forEach(button => {
+      button.addEventListener('click', function() {
+        browserAPI.runtime.sendMessage(
+          { action: 'resolveConflict', policy: button.dataset.policy, ...target },
+          function(response) {
+            if (response && response.error) {
+              console.error('Conflict error:', response.error);
+            }
+          }
+        );
+      });
+    });
+  }
+  
   // Pause an upload
   function pauseUpload(uploadId) {
     browserAPI.runtime.sendMessage(
       { action: 'pauseUpload', uploadId: uploadId },
       function(response) {
         if (response.success) {
-          loadUploads(); // Refresh the list
+          loadTransfers(); // Refresh the list
         } else if (response.error) {
           console.error('Pause error:', response.error);
         }
@@ -221,7 +833,7 @@ document.addEventListener('DOMContentLoaded', function() {
       { action: 'resumeUpload', uploadId: uploadId },
       function(response) {
         if (response.success) {
-          loadUploads(); // Refresh the list
+          loadTransfers(); // Refresh the list
         } else if (response.error) {
           console.error('Resume error:', response.error);
         }
@@ -229,6 +841,48 @@ document.addEventListener('DOMContentLoaded', function() {
     );
   }
   
+  // Move a queued upload to the top or bottom of the queue
+  function moveUpload(uploadId, position) {
+    browserAPI.runtime.sendMessage(
+      { action: 'moveUpload', uploadId: uploadId, position: position },
+      function(response) {
+        if (response.success) {
+          loadTransfers(); // Refresh the list
+        } else if (response.error) {
+          console.error('Move error:', response.error);
+        }
+      }
+    );
+  }
+  
+  // Pause, resume or cancel all uploads of a folder
+  function sendBatchAction(action, batchId) {
+    browserAPI.runtime.sendMessage(
+      { action: action, batchId: batchId },
+      function(response) {
+        if (response.success) {
+          loadTransfers(); // Refresh the list
+        } else if (response.error) {
+          console.error('Batch action error:', response.error);
+        }
+      }
+    );
+  }
+  
+  // Pause, resume or cancel a download
+  function sendDownloadAction(action, downloadId) {
+    browserAPI.runtime.sendMessage(
+      { action: action, downloadId: downloadId },
+      function(response) {
+        if (response.success) {
+          loadTransfers(); // Refresh the list
+        } else if (response.error) {
+          console.error('Download action error:', response.error);
+        }
+      }
+    );
+  }
+  
   // Cancel an upload
   function cancelUpload(uploadId) {
     if (confirm('Are you sure you want to cancel this upload?')) {
@@ -236,7 +890,7 @@ document.addEventListener('DOMContentLoaded', function() {
         { action: 'cancelUpload', uploadId: uploadId },
         function(response) {
           if (response.success) {
-            loadUploads(); // Refresh the list
+            loadTransfers(); // Refresh the list
           } else if (response.error) {
             console.error('Cancel error:', response.error);
           }
@@ -245,6 +899,46 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
   
+  // Speed, time left and a sparkline of recent speeds for a running transfer
+  function createStatsHTML(stats) {
+    if (!stats) return '';
+    
+    const eta = stats.eta !== null ? `${formatDuration(stats.eta)} left` : 'Calculating...';
+    
+    return `
+      <div class="transfer-stats" title="Running for ${formatDuration(stats.elapsed)}">
+        <span>${formatFileSize(stats.speed)}/s</span>
+        ${createSparkline(stats.history)}
+        <span>${eta}</span>
+      </div>
+    `;
+  }
+  
+  // Draw speeds as an SVG line scaled to the fastest one
+  function createSparkline(history) {
+    if (history.length < 2) return '<span class="sparkline"></span>';
+    
+    const max = Math.max(...history) || 1;
+    const points = history.map((speed, i) => {
+      const x = (i / (history.length - 1)) * 100;
+      const y = 20 - (speed / max) * 20;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    
+    return `<svg class="sparkline" viewBox="0 0 100 20" preserveAspectRatio="none"><polyline points="${points.join(' ')}"/></svg>`;
+  }
+  
+  // Format a number of seconds as e.g. "1h 5m" or "42s"
+  function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${total % 60}s`;
+    return `${total}s`;
+  }
+  
   // Format file size for display
   function formatFileSize(bytes) {
     if (bytes === 0) return '0 Bytes';
@@ -259,15 +953,11 @@ document.addEventListener('DOMContentLoaded', function() {
   // Initialize the UI
   function init() {
     checkAuthStatus();
+    loadNamingTemplate();
+    loadBandwidthLimit();
     
-    // Set up periodic refresh
-    setInterval(loadUploads, 2000);
-    
-    // Listen for messages from background script
-    browserAPI.runtime.onMessage.addListener(function(request) {
-      if (request.type === 'uploadUpdated') {
-        loadUploads();
-      }
-    });
+    // Transfers are pushed over the progress stream as they change
+    connectProgressStream();
+    setInterval(loadBandwidthLimit, 60 * 1000);
   }
 });
\ No newline at end of file